@@ -10,38 +10,645 @@ const jwt = require('jsonwebtoken');
 const fileUpload = require('express-fileupload');
 require('dotenv').config();
 const bcrypt = require('bcrypt');
+const Stripe = require('stripe');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const sharp = require('sharp');
+
+// Behind a load balancer set TRUST_PROXY (e.g. 1) so req.ip is the client
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({
+  exposedHeaders: ['cart-token', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
+app.use(express.json({
+  // Webhook signatures are computed over the exact bytes Stripe sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
-app.use(fileUpload());
+// Larger files are cut off and flagged `truncated`; /upload rejects them
+const UPLOAD_MAX_BYTES = (Number(process.env.UPLOAD_MAX_MB) || 10) * 1024 * 1024;
+app.use(fileUpload({ limits: { fileSize: UPLOAD_MAX_BYTES } }));
 const JWT_SECRET = process.env.JWT_SECRET;
 
-// MongoDB connection
-mongoose.connect('mongodb://localhost:27017/dressmart', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('Connected to MongoDB'))
-.catch(err => console.error('MongoDB connection error:', err));
+// Tokens handed to clients are stored only as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// === EMAIL ===
+// SMTP_HOST/SMTP_PORT point at any SMTP server, e.g. MailHog or MailDev on
+// localhost:1025 during development. Without SMTP_HOST messages are only
+// rendered as JSON and dropped; MAIL_DEBUG=true logs a preview with the
+// links' tokens redacted.
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const MAIL_FROM = process.env.MAIL_FROM || 'Dressmart <no-reply@dressmart.local>';
+
+const createMailTransport = () => {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      })
+    });
+  }
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+const mailTransport = createMailTransport();
+
+// Emails carry live reset, verification and invite tokens
+const redactTokens = (text) => String(text).replace(/([?&]token=)[^\s&"'<>]+/g, '$1[redacted]');
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await mailTransport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+  if (!process.env.SMTP_HOST && process.env.MAIL_DEBUG === 'true') {
+    console.log(`Email to ${to} (not sent, no SMTP_HOST): ${subject}\n${redactTokens(text)}`);
+  }
+  return info;
+};
+
+// === STRIPE ===
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at stripe-mock for local
+// testing, e.g. localhost / 12111 / http.
+const stripe = process.env.STRIPE_SECRET_KEY
+  ? Stripe(process.env.STRIPE_SECRET_KEY, {
+    ...(process.env.STRIPE_API_HOST && { host: process.env.STRIPE_API_HOST }),
+    ...(process.env.STRIPE_API_PORT && { port: Number(process.env.STRIPE_API_PORT) }),
+    ...(process.env.STRIPE_API_PROTOCOL && { protocol: process.env.STRIPE_API_PROTOCOL })
+  })
+  : null;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+const STRIPE_CURRENCY = process.env.STRIPE_CURRENCY || 'npr';
+
+// Stripe amounts are integers in the currency's smallest unit
+const toStripeAmount = (amount) => Math.round(amount * 100);
+
+// MongoDB connection; tests require this file and mock the models instead
+if (require.main === module) {
+  mongoose.connect('mongodb://localhost:27017/dressmart', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => console.log('Connected to MongoDB'))
+  .catch(err => console.error('MongoDB connection error:', err));
+}
 
 // Basic test route
 app.get('/', (req, res) => {
   res.send('Dressmart Backend Running');
 });
 
-// Serve static images
-app.use('/images', express.static(path.join(__dirname, 'upload/images')));
+// === AUTH MIDDLEWARE ===
+// Access tokens are short-lived and tied to a server-side session; a token is
+// rejected once its session is revoked or its user is deactivated.
+// Resolves to { user, session, claims } or { error }.
+const verifyAccessToken = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return { error: 'Invalid token' };
+  }
+
+  const sessionId = claims.user && claims.user.sid;
+  if (!sessionId) return { error: 'Invalid token' };
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: claims.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) return { error: 'Session has ended, please log in again' };
+
+  const user = await User.findById(claims.user.id);
+  if (!user) return { error: 'User not found' };
+  if (user.isActive === false) return { error: 'Account is deactivated' };
+
+  return { user, session, claims };
+};
+
+// Accepts the storefront's `auth-token` header and `Authorization: Bearer`
+const readAccessToken = (req) =>
+  req.header('auth-token') || req.header('Authorization')?.replace('Bearer ', '') || null;
+
+// The storefront reads `error` and the admin panel reads `message`, so
+// auth failures carry both.
+const authFailure = (res, status, message) =>
+  res.status(status).json({ success: false, message, error: message });
+
+// Single auth middleware for every protected route. Sets req.user to the
+// User document (req.user.id is its string id) and req.session.
+const authenticate = async (req, res, next) => {
+  const token = readAccessToken(req);
+  if (!token) return authFailure(res, 401, 'Access denied. No token.');
+
+  try {
+    const auth = await verifyAccessToken(token);
+    if (auth.error) return authFailure(res, 401, auth.error);
+
+    req.user = auth.user;
+    req.session = auth.session;
+    next();
+  } catch (err) {
+    console.error('Authentication error:', err);
+    return authFailure(res, 500, 'Failed to authenticate');
+  }
+};
+
+// === ROLES & PERMISSIONS ===
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: ['orders:read', 'users:read', 'returns:manage', 'reviews:moderate', 'analytics:read'],
+  'order-fulfilment': ['orders:read', 'orders:write', 'returns:manage'],
+  'catalog-manager': ['catalog:write', 'coupons:manage', 'reviews:moderate', 'analytics:read'],
+  'super-admin': ['*'],
+  // Accounts created before fine-grained roles keep full access
+  admin: ['*']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const permissionsFor = (roles = []) => [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+
+const hasPermission = (user, permission) => {
+  const permissions = permissionsFor(user && user.roles);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Use after `authenticate`
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return authFailure(res, 403, `Access denied: requires ${permission} permission`);
+  }
+  next();
+};
+
+// === AUDIT LOG ===
+// One entry per mutating admin operation. `changes` keeps only the fields
+// that differ between the before and after snapshots.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  // Kept so entries stay readable after the account is removed
+  actorEmail: { type: String },
+  // "<target>.<verb>", e.g. order.status or product.delete
+  action: { type: String, required: true, index: true },
+  targetType: { type: String, required: true },
+  targetId: { type: String, required: true },
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  },
+  note: { type: String },
+  ip: { type: String },
+  userAgent: { type: String }
+}, { timestamps: { createdAt: true, updatedAt: false }, minimize: false });
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+const AUDIT_IGNORED_FIELDS = ['password', '__v', 'updatedAt'];
+
+// Plain JSON copy of a document or object so snapshots can be compared
+const auditSnapshot = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const auditDiff = (before, after) => {
+  const previous = auditSnapshot(before);
+  const next = auditSnapshot(after);
+  const changes = { before: {}, after: {} };
+
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(field => {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+    if (JSON.stringify(previous[field]) === JSON.stringify(next[field])) return;
+    if (field in previous) changes.before[field] = previous[field];
+    if (field in next) changes.after[field] = next[field];
+  });
+  return changes;
+};
+
+// Call after the change is saved. Failures are logged, never surfaced: the
+// change itself has already happened.
+const recordAudit = (req, { action, targetType, targetId, before, after, note, actor }) => {
+  const actingUser = actor || req.user;
+  return AuditLog.create({
+    actor: actingUser && actingUser._id,
+    actorEmail: actingUser && actingUser.email,
+    action,
+    targetType,
+    targetId: String(targetId),
+    changes: auditDiff(before, after),
+    note,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  }).catch(err => {
+    console.error('Record audit log error:', err);
+  });
+};
+
+// === RATE LIMITING ===
+// Fixed-window counters keyed by limiter name plus client IP or account.
+// RATE_LIMIT_STORE picks where counters live: "memory" (default, per
+// process) or "mongo" (shared by every instance). Another backend only
+// needs async increment(key, windowMs) -> { count, resetAt } and reset(key).
+const createMemoryRateLimitStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows so the map can't grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+};
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, required: true },
+  resetAt: { type: Date, required: true }
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+const createMongoRateLimitStore = () => ({
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+    try {
+      // One atomic update either bumps the open window or starts a new one
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { new: true, upsert: true }
+      );
+      return { count: counter.count, resetAt: counter.resetAt };
+    } catch (err) {
+      // Two first hits raced on the upsert; the retry finds the new document
+      if (err.code === 11000 && !retried) return this.increment(key, windowMs, true);
+      throw err;
+    }
+  },
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  }
+});
+
+const RATE_LIMIT_STORES = {
+  memory: createMemoryRateLimitStore,
+  mongo: createMongoRateLimitStore
+};
+
+const rateLimitStore = (RATE_LIMIT_STORES[process.env.RATE_LIMIT_STORE] || createMemoryRateLimitStore)();
+
+// Limits are "<max requests>/<window seconds>", e.g. RATE_LIMIT_LOGIN_IP=20/900.
+// A max of 0 turns the limiter off.
+const parseRateLimit = (value, fallback) => {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value || '').trim());
+  if (!match) return fallback;
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+};
+
+const RATE_LIMITS = {
+  login_ip: parseRateLimit(process.env.RATE_LIMIT_LOGIN_IP, { max: 20, windowMs: 15 * 60 * 1000 }),
+  login_account: parseRateLimit(process.env.RATE_LIMIT_LOGIN_ACCOUNT, { max: 10, windowMs: 15 * 60 * 1000 }),
+  signup_ip: parseRateLimit(process.env.RATE_LIMIT_SIGNUP_IP, { max: 5, windowMs: 60 * 60 * 1000 }),
+  forgot_password_ip: parseRateLimit(process.env.RATE_LIMIT_FORGOT_PASSWORD_IP, { max: 10, windowMs: 60 * 60 * 1000 }),
+  forgot_password_account: parseRateLimit(process.env.RATE_LIMIT_FORGOT_PASSWORD_ACCOUNT, { max: 3, windowMs: 60 * 60 * 1000 }),
+  discount_ip: parseRateLimit(process.env.RATE_LIMIT_DISCOUNT_IP, { max: 20, windowMs: 15 * 60 * 1000 }),
+  discount_account: parseRateLimit(process.env.RATE_LIMIT_DISCOUNT_ACCOUNT, { max: 10, windowMs: 15 * 60 * 1000 }),
+  upload_ip: parseRateLimit(process.env.RATE_LIMIT_UPLOAD_IP, { max: 120, windowMs: 60 * 60 * 1000 }),
+  upload_account: parseRateLimit(process.env.RATE_LIMIT_UPLOAD_ACCOUNT, { max: 60, windowMs: 60 * 60 * 1000 })
+};
+
+const tooManyRequests = (res, retryAfterSeconds, message) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ success: false, message, retryAfter: retryAfterSeconds });
+};
+
+// keyFor returns the IP or account the limit applies to; requests it returns
+// nothing for are not counted
+const rateLimit = (name, keyFor = (req) => req.ip) => {
+  const limit = RATE_LIMITS[name];
+
+  return async (req, res, next) => {
+    const id = keyFor(req);
+    if (!limit.max || !id) return next();
+
+    try {
+      const { count, resetAt } = await rateLimitStore.increment(`${name}:${id}`, limit.windowMs);
+      const resetSeconds = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(limit.max));
+      res.set('RateLimit-Remaining', String(Math.max(0, limit.max - count)));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (count > limit.max) {
+        return tooManyRequests(res, resetSeconds, 'Too many requests, please try again later');
+      }
+      next();
+    } catch (err) {
+      // A broken counter store must not take the shop down with it
+      console.error(`Rate limit (${name}) error:`, err);
+      next();
+    }
+  };
+};
+
+const emailKey = (req) =>
+  typeof req.body.email === 'string' && req.body.email.trim() ? req.body.email.trim().toLowerCase() : null;
+
+// === MEDIA STORAGE ===
+// Product media goes through a storage driver chosen by STORAGE_DRIVER:
+//   local (default)  files in upload/images, served by this app at /images
+//   s3               any S3-compatible bucket (AWS, MinIO, R2...), see S3_*
+// Every driver has async put/get/exists/delete/list/listPage plus url(key),
+// and keys are plain file names. MEDIA_BASE_URL (e.g. a CDN) overrides the
+// base of public URLs; with the local driver it is required when NODE_ENV is
+// production, since the development default points at localhost.
+const LOCAL_MEDIA_DIR = path.join(__dirname, 'upload/images');
+
+const MEDIA_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+const mediaContentType = (key) =>
+  MEDIA_CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const trimSlashes = (value) => String(value).replace(/\/+$/, '');
+
+const mediaUrl = (baseUrl, key) => `${trimSlashes(baseUrl)}/${encodeURIComponent(key)}`;
+
+// Keys are single file names; anything else could escape the media directory
+const assertMediaKey = (key) => {
+  if (!key || key !== path.basename(key) || key.startsWith('.')) {
+    throw new Error(`Invalid media key: ${key}`);
+  }
+};
+
+const createLocalStorage = ({ dir = LOCAL_MEDIA_DIR, baseUrl } = {}) => ({
+  name: 'local',
+  baseUrl: trimSlashes(baseUrl || `http://localhost:${port}/images`),
+  url(key) {
+    return mediaUrl(this.baseUrl, key);
+  },
+  async put(key, data) {
+    assertMediaKey(key);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, key), data);
+  },
+  async get(key) {
+    assertMediaKey(key);
+    return fs.promises.readFile(path.join(dir, key));
+  },
+  async exists(key) {
+    assertMediaKey(key);
+    return fs.promises.access(path.join(dir, key)).then(() => true, () => false);
+  },
+  async delete(key) {
+    assertMediaKey(key);
+    await fs.promises.rm(path.join(dir, key), { force: true });
+  },
+  async list() {
+    const names = await fs.promises.readdir(dir).catch(err => {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    });
+    const files = await Promise.all(names.filter(name => !name.startsWith('.')).map(async name => {
+      const stat = await fs.promises.stat(path.join(dir, name));
+      return stat.isFile() ? { key: name, size: stat.size, lastModified: stat.mtime } : null;
+    }));
+    return files.filter(Boolean);
+  },
+  // Up to `limit` keys after `after` in key order; `next` is null on the last page
+  async listPage({ after = '', limit }) {
+    const names = (await fs.promises.readdir(dir).catch(err => {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    })).filter(name => !name.startsWith('.') && name > after).sort();
+    const batch = names.slice(0, limit);
+    const files = await Promise.all(batch.map(async name => {
+      const stat = await fs.promises.stat(path.join(dir, name));
+      return stat.isFile() ? { key: name, size: stat.size, lastModified: stat.mtime } : null;
+    }));
+    return { files: files.filter(Boolean), next: names.length > limit ? batch[batch.length - 1] : null };
+  }
+});
+
+// For MinIO: S3_ENDPOINT=http://localhost:9000, S3_BUCKET, S3_ACCESS_KEY_ID,
+// S3_SECRET_ACCESS_KEY. The bucket must allow public reads (or sit behind
+// the CDN in MEDIA_BASE_URL). docker-compose.minio.yml starts a local MinIO
+// with such a bucket.
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  prefix = process.env.S3_PREFIX || '',
+  baseUrl
+} = {}) => {
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+  // Only loaded when the S3 driver is used
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+  } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint, forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false' }),
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+  });
+
+  const defaultBaseUrl = endpoint
+    ? `${trimSlashes(endpoint)}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const objectKey = (key) => {
+    assertMediaKey(key);
+    return `${prefix}${key}`;
+  };
+
+  return {
+    name: 's3',
+    baseUrl: trimSlashes(baseUrl || `${defaultBaseUrl}${prefix ? `/${trimSlashes(prefix)}` : ''}`),
+    url(key) {
+      return mediaUrl(this.baseUrl, key);
+    },
+    async put(key, data) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: data,
+        ContentType: mediaContentType(key),
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    },
+    async get(key) {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return Buffer.from(await object.Body.transformToByteArray());
+    },
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (err) {
+        if (err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return false;
+        throw err;
+      }
+    },
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+    async list() {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        (page.Contents || []).forEach(object => {
+          const key = object.Key.slice(prefix.length);
+          if (key && !key.includes('/')) files.push({ key, size: object.Size, lastModified: object.LastModified });
+        });
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+    async listPage({ after = '', limit }) {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        MaxKeys: limit,
+        ...(after && { StartAfter: `${prefix}${after}` })
+      }));
+      const objects = page.Contents || [];
+      const files = objects
+        .map(object => ({ key: object.Key.slice(prefix.length), size: object.Size, lastModified: object.LastModified }))
+        .filter(file => file.key && !file.key.includes('/'));
+      return {
+        files,
+        next: page.IsTruncated && objects.length ? objects[objects.length - 1].Key.slice(prefix.length) : null
+      };
+    }
+  };
+};
+
+const STORAGE_DRIVERS = { local: createLocalStorage, s3: createS3Storage };
+
+const createStorage = (driver, options = {}) => {
+  const create = STORAGE_DRIVERS[driver];
+  if (!create) throw new Error(`Unknown storage driver "${driver}". Use ${Object.keys(STORAGE_DRIVERS).join(' or ')}.`);
+  return create(options);
+};
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+if (STORAGE_DRIVER === 'local' && !process.env.MEDIA_BASE_URL && process.env.NODE_ENV === 'production') {
+  throw new Error('MEDIA_BASE_URL must be set to the public URL of /images when NODE_ENV is production');
+}
+
+const mediaStorage = createStorage(STORAGE_DRIVER, { baseUrl: process.env.MEDIA_BASE_URL });
+
+// Base URLs earlier uploads may have been saved under, for the commands that
+// rewrite them. Add past MEDIA_BASE_URLs as a comma-separated list.
+const LEGACY_MEDIA_BASE_URLS = [
+  `http://localhost:${port}/images`,
+  ...(process.env.LEGACY_MEDIA_BASE_URLS || '').split(',').map(url => url.trim()).filter(Boolean)
+];
+
+// Returns the storage key a stored URL points at, or null when the URL
+// isn't under any of the given bases
+const mediaKeyFromUrl = (url, baseUrls) => {
+  if (typeof url !== 'string') return null;
+  const base = baseUrls.map(trimSlashes).find(candidate => url.startsWith(`${candidate}/`));
+  if (!base) return null;
+
+  const rest = url.slice(base.length + 1).split(/[?#]/)[0];
+  try {
+    return decodeURIComponent(rest);
+  } catch {
+    return rest;
+  }
+};
+
+// Local media is served by this app; other drivers serve their own URLs
+if (mediaStorage.name === 'local') {
+  app.use('/images', express.static(LOCAL_MEDIA_DIR));
+}
 
 // === PRODUCT MODEL ===
+const PRODUCT_GENDERS = ['men', 'women', 'kids'];
+
+// One sellable color/size combination with its own stock
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, match: /^[A-Za-z0-9_-]+$/ },
+  color: { type: String, required: true },
+  size: { type: String, required: true },
+  stock: { type: Number, required: true, min: 0, default: 0 },
+  price: { type: Number, min: 0 } // Overrides new_price when set
+}, { _id: false });
+
+// One gallery photo. Array order is display order.
+const productImageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  alt: { type: String, trim: true, default: '' },
+  // Shown when the shopper picks this color; untagged images show for all colors
+  color: { type: String, trim: true },
+  isPrimary: { type: Boolean, default: false }
+});
+
 const productSchema = new mongoose.Schema({
   id: { type: Number, required: true, unique: true },
   name: { type: String, required: true },
-  gender: { type: String, required: true, enum: ['men', 'women', 'kids'] },
+  gender: { type: String, required: true, enum: PRODUCT_GENDERS },
   category: { type: String, required: true },
   subcategory: { type: String, required: true },
+  // Primary image URL, kept in sync with `images` when the product has a gallery
   image: { type: String, required: true },
+  images: { type: [productImageSchema], default: [] },
   new_price: { type: Number, required: true, min: 0 },
   old_price: { type: Number, min: 0 },
   stock: { type: Number, required: true, min: 0, default: 0 },
@@ -49,12 +656,131 @@ const productSchema = new mongoose.Schema({
   sizes: { type: [String], required: true, default: ["M"] },
   date: { type: Date, default: Date.now },
   available: { type: Boolean, default: true },
+  // Set while `available` is off only because stock ran out, so a restock
+  // lists the product again; products staff disabled stay disabled
+  soldOut: { type: Boolean, default: false },
+  variants: { type: [variantSchema], default: [] },
+  // Maintained from approved reviews
+  averageRating: { type: Number, default: 0 },
+  reviewCount: { type: Number, default: 0 },
+});
+
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Unlists a product when its stock runs out and lists it again on restock,
+// unless staff had switched it off
+const applyStockAvailability = (product) => {
+  if (product.stock <= 0 && product.available !== false) {
+    product.available = false;
+    product.soldOut = true;
+  } else if (product.stock > 0 && product.soldOut) {
+    product.available = true;
+    product.soldOut = false;
+  }
+};
+
+// Products with variants derive their stock, colors, sizes and availability
+// from them; products without variants keep using the flat fields.
+const deriveVariantTotals = (product) => {
+  if (!product.variants || product.variants.length === 0) return;
+  product.stock = product.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+  product.colors = [...new Set(product.variants.map(v => v.color))];
+  product.sizes = [...new Set(product.variants.map(v => v.size))];
+  applyStockAvailability(product);
+};
+
+// Exactly one gallery image is primary (the first unless one is chosen)
+// and `image` mirrors it
+const syncPrimaryImage = (product) => {
+  if (!product.images || product.images.length === 0) return;
+  const primary = product.images.find(image => image.isPrimary) || product.images[0];
+  product.images.forEach(image => { image.isPrimary = image === primary; });
+  product.image = primary.url;
+};
+
+productSchema.pre('save', function (next) {
+  deriveVariantTotals(this);
+  syncPrimaryImage(this);
+  next();
 });
 
 const Product = mongoose.model('Product', productSchema);
 
+const buildSku = (productId, color, size) =>
+  `${productId}-${color}-${size}`.toUpperCase().replace(/[^A-Z0-9_-]+/g, '-');
+
+// Validates variants sent by the admin form (JSON string or array).
+// Throws with a user-facing message on bad input.
+const parseVariants = (value, productId) => {
+  const list = parseListField(value, []);
+  const seen = new Set();
+
+  return list.map((variant, index) => {
+    if (!variant || typeof variant !== 'object' || !variant.color || !variant.size) {
+      throw new Error(`Variant ${index + 1} must have a color and a size`);
+    }
+
+    const stock = variant.stock !== undefined ? Number(variant.stock) : 0;
+    if (isNaN(stock) || stock < 0) {
+      throw new Error(`Variant ${index + 1} has an invalid stock value`);
+    }
+
+    const hasPrice = variant.price !== undefined && variant.price !== null && variant.price !== '';
+    const price = hasPrice ? Number(variant.price) : undefined;
+    if (hasPrice && (isNaN(price) || price < 0)) {
+      throw new Error(`Variant ${index + 1} has an invalid price`);
+    }
+
+    const sku = variant.sku || buildSku(productId, variant.color, variant.size);
+    const comboKey = `${variant.color}/${variant.size}`.toLowerCase();
+    if (seen.has(sku) || seen.has(comboKey)) {
+      throw new Error(`Duplicate variant ${variant.color} / ${variant.size}`);
+    }
+    seen.add(sku);
+    seen.add(comboKey);
+
+    return { sku, color: variant.color, size: variant.size, stock, price };
+  });
+};
+
+// Finds the variant a client picked, by sku or by color + size
+const findVariant = (product, { sku, color, size } = {}) => {
+  if (!product.variants || product.variants.length === 0) return null;
+  if (sku) return product.variants.find(v => v.sku === sku) || null;
+  if (!color || !size) return null;
+  return product.variants.find(v =>
+    v.color.toLowerCase() === String(color).toLowerCase() &&
+    v.size.toLowerCase() === String(size).toLowerCase()
+  ) || null;
+};
+
+const variantPrice = (product, variant) =>
+  variant && variant.price !== undefined && variant.price !== null ? variant.price : product.new_price;
+
+// Form posts send colors/sizes as JSON strings, JSON clients send arrays
+const parseListField = (value, fallback) => {
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+      return [value];
+    }
+  }
+  if (Array.isArray(value)) return value;
+  return fallback;
+};
+
+const normalizeGender = (gender) => {
+  const normalized = String(gender).toLowerCase();
+  return PRODUCT_GENDERS.includes(normalized) ? normalized : null;
+};
+
 // === ADD PRODUCT ===
-app.post('/addproduct', async (req, res) => {
+app.post('/addproduct', authenticate, requirePermission('catalog:write'), async (req, res) => {
   try {
     const {
       name,
@@ -67,7 +793,8 @@ app.post('/addproduct', async (req, res) => {
       colors,
       sizes,
       available,
-      gender
+      gender,
+      variants
     } = req.body;
 
     if (!name || !category || !subcategory || !image || new_price === undefined || !gender) {
@@ -77,8 +804,8 @@ app.post('/addproduct', async (req, res) => {
       });
     }
 
-    const normalizedGender = gender.toLowerCase();
-    if (!['men', 'women', 'kids'].includes(normalizedGender)) {
+    const normalizedGender = normalizeGender(gender);
+    if (!normalizedGender) {
       return res.status(400).json({
         success: false,
         message: 'Invalid gender value. Allowed values are men, women, kids.'
@@ -88,34 +815,14 @@ app.post('/addproduct', async (req, res) => {
     const latestProduct = await Product.findOne().sort({ id: -1 });
     const newId = latestProduct ? latestProduct.id + 1 : 1;
 
-    // Parse colors
-    let colorArr = [];
-    if (typeof colors === 'string') {
-      try {
-        colorArr = JSON.parse(colors);
-        if (!Array.isArray(colorArr)) colorArr = [colorArr];
-      } catch {
-        colorArr = [colors];
-      }
-    } else if (Array.isArray(colors)) {
-      colorArr = colors;
-    } else {
-      colorArr = ["Black"];
-    }
+    const colorArr = parseListField(colors, ["Black"]);
+    const sizeArr = parseListField(sizes, ["M"]);
 
-    // Parse sizes
-    let sizeArr = [];
-    if (typeof sizes === 'string') {
-      try {
-        sizeArr = JSON.parse(sizes);
-        if (!Array.isArray(sizeArr)) sizeArr = [sizeArr];
-      } catch {
-        sizeArr = [sizes];
-      }
-    } else if (Array.isArray(sizes)) {
-      sizeArr = sizes;
-    } else {
-      sizeArr = ["M"];
+    let variantArr = [];
+    try {
+      variantArr = parseVariants(variants, newId);
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
     }
 
     const productData = {
@@ -131,12 +838,20 @@ app.post('/addproduct', async (req, res) => {
       colors: colorArr,
       sizes: sizeArr,
       available: available !== undefined ? available : true,
+      variants: variantArr,
+      images: [{ url: image, alt: name, isPrimary: true }],
     };
 
     const product = new Product(productData);
     await product.save();
 
     const savedProduct = await Product.findById(product._id);
+    await recordAudit(req, {
+      action: 'product.create',
+      targetType: 'product',
+      targetId: savedProduct.id,
+      after: savedProduct
+    });
     res.json({
       success: true,
       product: savedProduct
@@ -151,30 +866,236 @@ app.post('/addproduct', async (req, res) => {
   }
 });
 
+// === PRODUCT HELPERS ===
+// Products created before galleries only have `image`; present it as a
+// one-photo gallery so clients can always read `images`
+const productGallery = (product) => {
+  if (!product.images || product.images.length === 0) {
+    return product.image ? [{ url: product.image, alt: product.name, color: null, isPrimary: true }] : [];
+  }
+  return product.images.map(image => ({
+    _id: image._id,
+    url: image.url,
+    alt: image.alt || product.name,
+    color: image.color || null,
+    isPrimary: Boolean(image.isPrimary)
+  }));
+};
+
+// The chosen color's images followed by untagged ones. Falls back to the
+// whole gallery when no image is tagged with that color.
+const galleryForColor = (gallery, color) => {
+  const wanted = String(color).toLowerCase();
+  const tagged = gallery.filter(image => image.color && image.color.toLowerCase() === wanted);
+  if (!tagged.length) return gallery;
+  return [...tagged, ...gallery.filter(image => !image.color)];
+};
+
+const formatProduct = (product) => ({
+  id: product.id,
+  name: product.name,
+  gender: product.gender,
+  category: product.category,
+  subcategory: product.subcategory,
+  image: product.image,
+  images: productGallery(product),
+  new_price: product.new_price,
+  old_price: product.old_price || null,
+  stock: product.stock || 0,
+  colors: product.colors || ["Black"],
+  sizes: product.sizes || ["M"],
+  date: product.date,
+  available: product.available !== undefined ? product.available : true,
+  variants: (product.variants || []).map(variant => ({
+    sku: variant.sku,
+    color: variant.color,
+    size: variant.size,
+    stock: variant.stock,
+    price: variantPrice(product, variant),
+    available: variant.stock > 0
+  })),
+  averageRating: product.averageRating || 0,
+  reviewCount: product.reviewCount || 0,
+  _id: product._id,
+  __v: product.__v
+});
+
+// Accepts "a,b", ["a", "b"] or "a" and returns a clean array
+const parseListParam = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim()).filter(Boolean);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact matches for free-text catalog fields
+const anyOf = (values) => ({ $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i')) });
+
+const PRODUCT_SORTS = {
+  newest: { date: -1, _id: -1 },
+  oldest: { date: 1, _id: 1 },
+  price_asc: { new_price: 1, _id: 1 },
+  price_desc: { new_price: -1, _id: -1 },
+  discount: { discountPercent: -1, _id: -1 },
+  rating: { averageRating: -1, reviewCount: -1, _id: -1 },
+};
+
+const PRODUCT_PAGE_LIMIT_MAX = 100;
+
+// Percentage saved relative to old_price; 0 when there is no markdown
+const discountPercentExpr = {
+  $cond: [
+    { $gt: [{ $ifNull: ['$old_price', 0] }, '$new_price'] },
+    { $divide: [{ $subtract: ['$old_price', '$new_price'] }, '$old_price'] },
+    0
+  ]
+};
+
+const buildProductFilter = (query) => {
+  const filter = {};
+
+  const genders = parseListParam(query.gender).map(g => g.toLowerCase());
+  if (genders.length) filter.gender = { $in: genders };
+
+  const categories = parseListParam(query.category);
+  if (categories.length) filter.category = anyOf(categories);
+
+  const subcategories = parseListParam(query.subcategory);
+  if (subcategories.length) filter.subcategory = anyOf(subcategories);
+
+  const colors = parseListParam(query.color);
+  if (colors.length) filter.colors = anyOf(colors);
+
+  const sizes = parseListParam(query.size);
+  if (sizes.length) filter.sizes = anyOf(sizes);
+
+  const minPrice = query.minPrice !== undefined ? Number(query.minPrice) : NaN;
+  const maxPrice = query.maxPrice !== undefined ? Number(query.maxPrice) : NaN;
+  if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+    filter.new_price = {};
+    if (!isNaN(minPrice)) filter.new_price.$gte = minPrice;
+    if (!isNaN(maxPrice)) filter.new_price.$lte = maxPrice;
+  }
+
+  if (query.available !== undefined) {
+    // Documents created before `available` existed count as available
+    filter.available = query.available === 'false' ? false : { $ne: false };
+  }
+
+  if (query.inStock === 'true') {
+    filter.stock = { $gt: 0 };
+
+    // With a color or size filter, the matching variant itself must be in stock
+    if (colors.length || sizes.length) {
+      const variantMatch = { stock: { $gt: 0 } };
+      if (colors.length) variantMatch.color = anyOf(colors);
+      if (sizes.length) variantMatch.size = anyOf(sizes);
+      filter.$or = [
+        { 'variants.0': { $exists: false } },
+        { variants: { $elemMatch: variantMatch } }
+      ];
+    }
+  }
+
+  return filter;
+};
+
+// Counts products per value of `field`, or of the `groupBy` expression
+const countFacet = (field, groupBy = `$${field}`) => [
+  { $group: { _id: groupBy, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+const arrayCountFacet = (field) => [
+  { $unwind: `$${field}` },
+  ...countFacet(field)
+];
+
 // === GET ALL PRODUCTS ===
+// Without page/limit the route keeps returning the plain array of products
+// so existing storefront clients work unchanged.
 app.get('/allproducts', async (req, res) => {
   try {
-    const products = await Product.find({}).lean();
-
-    const completeProducts = products.map(product => ({
-      id: product.id,
-      name: product.name,
-      gender: product.gender,
-      category: product.category,
-      subcategory: product.subcategory,
-      image: product.image,
-      new_price: product.new_price,
-      old_price: product.old_price || null,
-      stock: product.stock || 0,
-      colors: product.colors || ["Black"],
-      sizes: product.sizes || ["M"],
-      date: product.date,
-      available: product.available !== undefined ? product.available : true,
-      _id: product._id,
-      __v: product.__v
-    }));
+    const filter = buildProductFilter(req.query);
+    const sortKey = req.query.sort || 'newest';
+    const sort = PRODUCT_SORTS[sortKey];
+
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort value. Allowed values are ${Object.keys(PRODUCT_SORTS).join(', ')}.`
+      });
+    }
+
+    const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+
+    if (!paginate) {
+      const pipeline = [{ $match: filter }];
+      if (req.query.sort) {
+        pipeline.push(
+          { $addFields: { discountPercent: discountPercentExpr } },
+          { $sort: sort },
+          { $project: { discountPercent: 0 } }
+        );
+      }
+      const products = await Product.aggregate(pipeline);
+      return res.json(products.map(formatProduct));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), PRODUCT_PAGE_LIMIT_MAX);
+
+    const [result] = await Product.aggregate([
+      { $match: filter },
+      { $addFields: { discountPercent: discountPercentExpr } },
+      {
+        $facet: {
+          products: [
+            { $sort: sort },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { discountPercent: 0 } }
+          ],
+          total: [{ $count: 'count' }],
+          gender: countFacet('gender'),
+          category: countFacet('category'),
+          subcategory: countFacet('subcategory'),
+          colors: arrayCountFacet('colors'),
+          sizes: arrayCountFacet('sizes'),
+          // Products without the flag are available, so they share the true bucket
+          available: countFacet('available', { $ne: ['$available', false] }),
+          price: [
+            { $group: { _id: null, min: { $min: '$new_price' }, max: { $max: '$new_price' } } },
+            { $project: { _id: 0, min: 1, max: 1 } }
+          ]
+        }
+      }
+    ]);
 
-    res.json(completeProducts);
+    const total = result.total[0] ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      products: result.products.map(formatProduct),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total
+      },
+      facets: {
+        gender: result.gender,
+        category: result.category,
+        subcategory: result.subcategory,
+        colors: result.colors,
+        sizes: result.sizes,
+        available: result.available.map(f => ({ value: f.value !== false, count: f.count })),
+        price: result.price[0] || { min: null, max: null }
+      }
+    });
   } catch (err) {
     console.error('Get all products error:', err);
     res.status(500).json({
@@ -203,23 +1124,16 @@ app.get('/product/:id', async (req, res) => {
     }
 
     const completeProduct = {
-      id: product.id || product._id,
-      name: product.name,
-      gender: product.gender,
-      category: product.category,
-      subcategory: product.subcategory,
-      image: product.image,
-      new_price: product.new_price,
-      old_price: product.old_price || null,
-      stock: product.stock || 0,
-      colors: product.colors || ["Black"],
-      sizes: product.sizes || ["M"],
-      date: product.date,
-      available: product.available !== undefined ? product.available : true,
-      _id: product._id,
-      __v: product.__v
+      ...formatProduct(product),
+      id: product.id || product._id
     };
 
+    // ?color=Red swaps in that color's photos
+    if (req.query.color) {
+      completeProduct.images = galleryForColor(completeProduct.images, req.query.color);
+      completeProduct.image = completeProduct.images[0] ? completeProduct.images[0].url : product.image;
+    }
+
     res.json({ success: true, product: completeProduct });
   } catch (err) {
     console.error('Get product error:', err.message);
@@ -231,168 +1145,590 @@ app.get('/product/:id', async (req, res) => {
   }
 });
 
-// === REMOVE PRODUCT ===
-app.post('/removeproduct', async (req, res) => {
-  try {
-    await Product.findOneAndDelete({ id: req.body.id });
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Remove product error:', err);
-    res.status(500).json({ success: false, message: 'Failed to remove product' });
+// === UPDATE PRODUCT ===
+// Partial update keyed by the numeric product id so carts and orders that
+// reference it stay valid. Only the fields present in the body are changed.
+// Setting `image` directly (the legacy edit form) makes that URL the primary
+// gallery image, replacing the current primary photo if it isn't in the gallery
+const setPrimaryImageUrl = (product, url) => {
+  product.image = url;
+  if (!product.images.length) return;
+
+  const existing = product.images.find(image => image.url === url);
+  if (existing) {
+    product.images.forEach(image => { image.isPrimary = image === existing; });
+    return;
   }
-});
-
-// 1. Update User Model to include roles
-const userSchema = new mongoose.Schema({
-  name: String,
-  email: { type: String, unique: true },
-  password: String,
-  cartData: { type: Map, of: Number, default: {} },
-  discount: { type: Number, default: 0 },
-  date: { type: Date, default: Date.now },
-  roles: { type: [String], default: ['user'], enum: ['user', 'admin'] }
-});
+  const primary = product.images.find(image => image.isPrimary) || product.images[0];
+  primary.url = url;
+};
 
-const User = mongoose.model('User', userSchema);
-// === USER ROUTES ===
-app.post('/signup', async (req, res) => {
+const updateProduct = async (req, res) => {
   try {
-    const existing = await User.findOne({ email: req.body.email });
-    if (existing) return res.status(400).json({ success: false, message: 'User already exists' });
+    const productId = Number(req.params.id);
+    if (isNaN(productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product id' });
+    }
 
-    const hashedPassword = await bcrypt.hash(req.body.password, 10);
-    const cart = {};
-    for (let i = 0; i < 300; i++) cart[i] = 0;
+    const product = await Product.findOne({ id: productId });
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const before = auditSnapshot(product);
 
-    const user = new User({ ...req.body, password: hashedPassword, cartData: cart });
-    await user.save();
+    const {
+      name,
+      category,
+      subcategory,
+      image,
+      new_price,
+      old_price,
+      stock,
+      colors,
+      sizes,
+      available,
+      gender,
+      variants
+    } = req.body;
 
-    const token = jwt.sign({ user: { id: user._id } }, JWT_SECRET);
-    res.json({ success: true, token });
-  } catch (err) {
-    console.error('Signup error:', err);
-    res.status(500).json({ success: false, message: 'Failed to signup' });
+    if (gender !== undefined) {
+      const normalizedGender = normalizeGender(gender);
+      if (!normalizedGender) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid gender value. Allowed values are men, women, kids.'
+        });
+      }
+      product.gender = normalizedGender;
+    }
+
+    for (const [field, value] of Object.entries({ name, category, subcategory, image })) {
+      if (value === undefined) continue;
+      if (!value) {
+        return res.status(400).json({ success: false, message: `${field} cannot be empty` });
+      }
+      if (field === 'image') setPrimaryImageUrl(product, value);
+      else product[field] = value;
+    }
+
+    if (new_price !== undefined) product.new_price = Number(new_price);
+    if (old_price !== undefined) product.old_price = old_price ? Number(old_price) : null;
+    if (stock !== undefined) product.stock = stock ? Number(stock) : 0;
+    if (colors !== undefined) product.colors = parseListField(colors, ["Black"]);
+    if (sizes !== undefined) product.sizes = parseListField(sizes, ["M"]);
+    if (available !== undefined) {
+      // An explicit choice replaces any automatic unlisting
+      product.available = available === 'false' ? false : Boolean(available);
+      product.soldOut = false;
+    }
+    if (variants !== undefined) {
+      try {
+        product.variants = parseVariants(variants, product.id);
+      } catch (err) {
+        return res.status(400).json({ success: false, message: err.message });
+      }
+    }
+
+    await product.save();
+    await recordAudit(req, { action: 'product.update', targetType: 'product', targetId: product.id, before, after: product });
+
+    res.json({
+      success: true,
+      product
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product data',
+        error: error.message
+      });
+    }
+    console.error('Update product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update product',
+      error: error.message
+    });
+  }
+};
+
+app.put('/product/:id', authenticate, requirePermission('catalog:write'), updateProduct);
+app.patch('/product/:id', authenticate, requirePermission('catalog:write'), updateProduct);
+
+// === REMOVE PRODUCT ===
+app.post('/removeproduct', authenticate, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const product = await Product.findOneAndDelete({ id: req.body.id });
+    if (product) {
+      await recordAudit(req, { action: 'product.delete', targetType: 'product', targetId: product.id, before: product });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Remove product error:', err);
+    res.status(500).json({ success: false, message: 'Failed to remove product' });
   }
 });
 
-// app.post('/login', async (req, res) => {
-//   try {
-//     const user = await User.findOne({ email: req.body.email });
-//     if (!user) return res.json({ success: false, message: 'Invalid credentials' });
+// === PRODUCT GALLERY ===
+// Admin endpoints take the numeric product id, like /product/:id, and the
+// gallery image _id. URLs normally come from /upload.
+
+// Loads the product for a gallery change, replying 404 itself when missing
+const loadGalleryProduct = async (req, res) => {
+  const productId = Number(req.params.id);
+  const product = Number.isInteger(productId) ? await Product.findOne({ id: productId }) : null;
+  if (!product) res.status(404).json({ success: false, message: 'Product not found' });
+  return product;
+};
+
+// Products created before galleries start theirs with the current image
+const ensureGallery = (product) => {
+  if (!product.images.length && product.image) {
+    product.images.push({ url: product.image, alt: product.name, isPrimary: true });
+  }
+};
 
-//     const validPass = await bcrypt.compare(req.body.password, user.password);
-//     if (!validPass) return res.json({ success: false, message: 'Invalid credentials' });
+// Returns the color as spelled on the product, null for "no color", or
+// undefined when the product doesn't come in that color
+const matchProductColor = (product, color) => {
+  if (color === null || color === '') return null;
+  return product.colors.find(c => c.toLowerCase() === String(color).trim().toLowerCase());
+};
 
-//     const token = jwt.sign({ user: { id: user._id } }, JWT_SECRET);
-//     res.json({ success: true, token });
-//   } catch (err) {
-//     res.status(500).json({ success: false, message: 'Login failed' });
-//   }
-// });
+const markPrimary = (product, primary) => {
+  product.images.forEach(image => { image.isPrimary = image === primary; });
+};
 
+const gallerySnapshot = (product) => auditSnapshot({ image: product.image, images: product.images });
 
-// app.post('/register-admin', async (req, res) => {
-//   try {
-//     const { email, password } = req.body;
-    
-//     // Check if admin already exists
-//     const existingAdmin = await User.findOne({ email, roles: 'admin' });
-//     if (existingAdmin) {
-//       return res.status(400).json({ 
-//         success: false, 
-//         message: 'Admin already exists' 
-//       });
-//     }
-
-//     const hashedPassword = await bcrypt.hash(password, 10);
-//     const admin = new User({ 
-//       email, 
-//       password: hashedPassword,
-//       roles: ['admin']
-//     });
-
-//     await admin.save();
-
-//     res.json({ 
-//       success: true,
-//       message: 'Admin registered successfully'
-//     });
-//   } catch (err) {
-//     console.error('Admin registration error:', err);
-//     res.status(500).json({ 
-//       success: false, 
-//       message: 'Failed to register admin',
-//       error: err.message 
-//     });
-//   }
-// });
-
-// // 3. Improved Admin Login
-// app.post('/admin/login', async (req, res) => {
-//   try {
-//     const { email, password } = req.body;
-
-//     if (!email || !password) {
-//       return res.status(400).json({ 
-//         success: false, 
-//         message: 'Email and password are required' 
-//       });
-//     }
-
-//     // Find user with admin role
-//     const admin = await User.findOne({ 
-//       email,
-//       roles: { $in: ['admin'] } 
-//     });
-
-//     if (!admin) {
-//       return res.status(401).json({ 
-//         success: false, 
-//         message: 'Admin account not found' 
-//       });
-//     }
-
-//     const validPass = await bcrypt.compare(password, admin.password);
-//     if (!validPass) {
-//       return res.status(401).json({ 
-//         success: false, 
-//         message: 'Invalid credentials' 
-//       });
-//     }
-
-//     const token = jwt.sign(
-//       { 
-//         user: { 
-//           id: admin._id,
-//           roles: admin.roles,
-//           isAdmin: true 
-//         } 
-//       }, 
-//       JWT_SECRET,
-//       { expiresIn: '8h' }
-//     );
-
-//     res.json({ 
-//       success: true, 
-//       token,
-//       user: {
-//         id: admin._id,
-//         email: admin.email,
-//         roles: admin.roles
-//       }
-//     });
-//   } catch (err) {
-//     console.error('Admin login error:', err);
-//     res.status(500).json({ 
-//       success: false, 
-//       message: 'Login failed',
-//       error: err.message 
-//     });
-//   }
-// });
-
-
-app.post('/login', async (req, res) => {
+const saveGallery = async (req, res, product, before) => {
+  await product.save();
+  await recordAudit(req, {
+    action: 'product.images',
+    targetType: 'product',
+    targetId: product.id,
+    before,
+    after: gallerySnapshot(product)
+  });
+  res.json({ success: true, image: product.image, images: productGallery(product) });
+};
+
+// Attach an image. `position` (0-based) inserts it, otherwise it is appended.
+app.post('/admin/products/:id/images', authenticate, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const product = await loadGalleryProduct(req, res);
+    if (!product) return;
+
+    const { url, alt, color, isPrimary, position } = req.body;
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ success: false, message: 'Image url is required' });
+    }
+
+    const before = gallerySnapshot(product);
+    ensureGallery(product);
+    if (product.images.some(image => image.url === url)) {
+      return res.status(400).json({ success: false, message: 'This image is already in the gallery' });
+    }
+
+    let imageColor;
+    if (color !== undefined) {
+      imageColor = matchProductColor(product, color);
+      if (imageColor === undefined) {
+        return res.status(400).json({ success: false, message: `Color must be one of ${product.colors.join(', ')}` });
+      }
+    }
+
+    const index = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), product.images.length)
+      : product.images.length;
+    product.images.splice(index, 0, { url, alt, color: imageColor || undefined });
+
+    const added = product.images[index];
+    if (isPrimary) markPrimary(product, added);
+
+    await saveGallery(req, res, product, before);
+  } catch (err) {
+    console.error('Attach product image error:', err);
+    res.status(500).json({ success: false, message: 'Failed to attach image' });
+  }
+});
+
+// Body: { imageIds: [...] } listing every gallery image in the new order
+app.put('/admin/products/:id/images/order', authenticate, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const product = await loadGalleryProduct(req, res);
+    if (!product) return;
+
+    const { imageIds } = req.body;
+    const current = product.images.map(image => String(image._id));
+    if (
+      !Array.isArray(imageIds) ||
+      imageIds.length !== current.length ||
+      new Set(imageIds.map(String)).size !== current.length ||
+      !imageIds.every(id => current.includes(String(id)))
+    ) {
+      return res.status(400).json({ success: false, message: 'imageIds must list every gallery image exactly once' });
+    }
+
+    const before = gallerySnapshot(product);
+    const byId = new Map(product.images.map(image => [String(image._id), image.toObject()]));
+    product.images = imageIds.map(id => byId.get(String(id)));
+
+    await saveGallery(req, res, product, before);
+  } catch (err) {
+    console.error('Reorder product images error:', err);
+    res.status(500).json({ success: false, message: 'Failed to reorder images' });
+  }
+});
+
+// Change alt text, color or make the image primary
+app.patch('/admin/products/:id/images/:imageId', authenticate, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const product = await loadGalleryProduct(req, res);
+    if (!product) return;
+
+    const image = mongoose.Types.ObjectId.isValid(req.params.imageId) && product.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ success: false, message: 'Image not found' });
+
+    const before = gallerySnapshot(product);
+    const { alt, color, isPrimary } = req.body;
+
+    if (alt !== undefined) image.alt = alt;
+    if (color !== undefined) {
+      const imageColor = matchProductColor(product, color);
+      if (imageColor === undefined) {
+        return res.status(400).json({ success: false, message: `Color must be one of ${product.colors.join(', ')}` });
+      }
+      image.color = imageColor || undefined;
+    }
+    if (isPrimary === true) markPrimary(product, image);
+
+    await saveGallery(req, res, product, before);
+  } catch (err) {
+    console.error('Update product image error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update image' });
+  }
+});
+
+// Detaching the primary image promotes the next one. The file itself stays
+// in storage; it may be used elsewhere.
+app.delete('/admin/products/:id/images/:imageId', authenticate, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const product = await loadGalleryProduct(req, res);
+    if (!product) return;
+
+    const image = mongoose.Types.ObjectId.isValid(req.params.imageId) && product.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ success: false, message: 'Image not found' });
+    if (product.images.length === 1) {
+      return res.status(400).json({ success: false, message: 'A product needs at least one image' });
+    }
+
+    const before = gallerySnapshot(product);
+    image.deleteOne();
+
+    await saveGallery(req, res, product, before);
+  } catch (err) {
+    console.error('Detach product image error:', err);
+    res.status(500).json({ success: false, message: 'Failed to detach image' });
+  }
+});
+
+// 1. Update User Model to include roles
+const userSchema = new mongoose.Schema({
+  name: String,
+  email: { type: String, unique: true },
+  password: String,
+  date: { type: Date, default: Date.now },
+  roles: { type: [String], default: ['user'], enum: ROLES },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  passwordChangedAt: { type: Date },
+  isActive: { type: Boolean, default: true },
+  // Login lockout state, see LOGIN LOCKOUT
+  failedLoginCount: { type: Number, default: 0 },
+  lockoutLevel: { type: Number, default: 0 },
+  lockedUntil: { type: Date }
+});
+
+const User = mongoose.model('User', userSchema);
+
+// === SESSIONS ===
+// Each login creates a session holding the hash of its current refresh
+// token. Refreshing rotates the token; presenting an already rotated token
+// revokes the session since it was most likely stolen.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  userAgent: { type: String },
+  ip: { type: String }
+}, { timestamps: true });
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+const signAccessToken = (user, session) => jwt.sign(
+  { user: { id: user._id, roles: user.roles, sid: session._id } },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Refresh tokens look like "<sessionId>.<secret>"
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+const revokeUserSessions = (userId, reason) => Session.updateMany(
+  { user: userId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// === LOGIN LOCKOUT ===
+// Every LOGIN_LOCKOUT_THRESHOLD failed passwords in a row lock the account,
+// each lock twice as long as the one before (capped at LOGIN_LOCKOUT_MAX_MINUTES).
+// A successful login starts the count over. Logins to a locked account get
+// the same 401 as a wrong password, so locks don't reveal which emails are
+// registered; the owner is told by email instead.
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_MINUTES = Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1;
+const LOGIN_LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+const authEventSchema = new mongoose.Schema({
+  type: { type: String, required: true, enum: ['account_locked', 'account_unlocked'] },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  email: { type: String },
+  // failed_logins, expired, password_reset or admin
+  reason: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  ip: { type: String },
+  lockedUntil: { type: Date }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+
+// Event logging must never turn a login into a 500
+const recordAuthEvent = (event) => AuthEvent.create(event).catch(err => {
+  console.error('Record auth event error:', err);
+});
+
+const lockoutDurationMs = (level) =>
+  Math.min(LOGIN_LOCKOUT_BASE_MINUTES * 2 ** (level - 1), LOGIN_LOCKOUT_MAX_MINUTES) * 60 * 1000;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Clears a lock whose time has run out; records the unlock once
+const releaseExpiredLock = async (user, req) => {
+  if (!user.lockedUntil || user.lockedUntil > new Date()) return;
+
+  const result = await User.updateOne(
+    { _id: user._id, lockedUntil: user.lockedUntil },
+    { $unset: { lockedUntil: 1 } }
+  );
+  user.lockedUntil = undefined;
+  if (result.modifiedCount) {
+    await recordAuthEvent({ type: 'account_unlocked', user: user._id, email: user.email, reason: 'expired', ip: req.ip });
+  }
+};
+
+// Counts a wrong password and returns the lock end when this attempt locked
+// the account
+const recordFailedLogin = async (user, req) => {
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginCount: 1 } }, { new: true });
+  if (!updated || updated.failedLoginCount < LOGIN_LOCKOUT_THRESHOLD) return null;
+
+  const level = (updated.lockoutLevel || 0) + 1;
+  const lockedUntil = new Date(Date.now() + lockoutDurationMs(level));
+  // Of several concurrent failures only the first one past the threshold locks
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginCount: { $gte: LOGIN_LOCKOUT_THRESHOLD } },
+    { $set: { failedLoginCount: 0, lockoutLevel: level, lockedUntil } },
+    { new: true }
+  );
+  if (!locked) return null;
+
+  await recordAuthEvent({
+    type: 'account_locked',
+    user: user._id,
+    email: user.email,
+    reason: 'failed_logins',
+    ip: req.ip,
+    lockedUntil
+  });
+  sendLockNoticeEmail(user, lockedUntil).catch(err => {
+    console.error('Send lock notice email error:', err);
+  });
+  return lockedUntil;
+};
+
+const sendLockNoticeEmail = (user, lockedUntil) => {
+  const minutes = Math.ceil(secondsUntil(lockedUntil) / 60);
+  const link = `${CLIENT_URL}/forgot-password`;
+  return sendMail({
+    to: user.email,
+    subject: 'Your Dressmart account was locked',
+    text: `There were too many failed attempts to sign in to your account, so it is locked for ${minutes} minutes.\n\nIf this wasn't you, reset your password to unlock it now:\n${link}`,
+    html: `<p>There were too many failed attempts to sign in to your account, so it is locked for ${minutes} minutes.</p><p>If this wasn't you, <a href="${link}">reset your password</a> to unlock it now.</p>`
+  });
+};
+
+const clearFailedLogins = (user) => {
+  if (!user.failedLoginCount && !user.lockoutLevel) return null;
+  return User.updateOne({ _id: user._id }, { $set: { failedLoginCount: 0, lockoutLevel: 0 } });
+};
+
+// Used by password reset and admins; records an unlock if a lock was active
+const unlockAccount = async (userId, { reason, actor, ip }) => {
+  const previous = await User.findByIdAndUpdate(
+    userId,
+    { $set: { failedLoginCount: 0, lockoutLevel: 0 }, $unset: { lockedUntil: 1 } }
+  );
+  if (previous && previous.lockedUntil && previous.lockedUntil > new Date()) {
+    await recordAuthEvent({ type: 'account_unlocked', user: previous._id, email: previous.email, reason, actor, ip });
+  }
+  return previous;
+};
+
+// === ACCOUNT TOKENS ===
+// Single-use tokens for password reset and email verification. Only a hash
+// is stored and expired tokens are removed by the TTL index.
+const ACCOUNT_TOKEN_TTL = {
+  password_reset: 60 * 60 * 1000, // 1 hour
+  email_verification: 48 * 60 * 60 * 1000 // 48 hours
+};
+
+const accountTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, required: true, enum: Object.keys(ACCOUNT_TOKEN_TTL) },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date }
+}, { timestamps: true });
+
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+// Issues a new token, invalidating any earlier unused one of the same type
+const issueAccountToken = async (userId, type) => {
+  await AccountToken.deleteMany({ user: userId, type, usedAt: null });
+  const token = crypto.randomBytes(32).toString('hex');
+  await AccountToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ACCOUNT_TOKEN_TTL[type])
+  });
+  return token;
+};
+
+// Marks the token used and returns it, or null if unknown, used or expired
+const consumeAccountToken = (token, type) => AccountToken.findOneAndUpdate(
+  { tokenHash: hashToken(String(token)), type, usedAt: null, expiresAt: { $gt: new Date() } },
+  { $set: { usedAt: new Date() } },
+  { new: true }
+);
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(user._id, 'email_verification');
+  const link = `${CLIENT_URL}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your Dressmart email address',
+    text: `Hi${user.name ? ` ${user.name}` : ''},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 48 hours.`,
+    html: `<p>Hi${user.name ? ` ${user.name}` : ''},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 48 hours.</p>`
+  });
+};
+
+// Email failures must not fail signup; the user can ask for a new link
+const sendVerificationEmailSafely = (user) => sendVerificationEmail(user).catch(err => {
+  console.error('Send verification email error:', err);
+});
+
+// === SIGNUP VALIDATION ===
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const isValidEmail = (email) => typeof email === 'string' && EMAIL_PATTERN.test(email.trim());
+
+// Returns a message describing what the password is missing, or null
+const passwordProblem = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+  return null;
+};
+
+// === USER ROUTES ===
+// The only public way to create an account; it always creates a customer.
+// Staff accounts come from invites (see STAFF INVITES).
+const signup = async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    const { name, password } = req.body;
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ success: false, message: 'A valid email address is required' });
+    }
+    const weakPassword = passwordProblem(password);
+    if (weakPassword) return res.status(400).json({ success: false, message: weakPassword });
+
+    const existing = await User.findOne({ email });
+    if (existing) return res.status(400).json({ success: false, message: 'User already exists' });
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const user = new User({
+      name: typeof name === 'string' ? name.trim() : undefined,
+      email,
+      password: hashedPassword,
+      roles: ['user'],
+      emailVerified: false
+    });
+    await user.save();
+    await sendVerificationEmailSafely(user);
+
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    try {
+      await mergeGuestCart(req.header(CART_TOKEN_HEADER), user._id);
+    } catch (err) {
+      console.error('Merge guest cart error:', err);
+    }
+
+    res.json({ success: true, token, refreshToken, expiresIn });
+  } catch (err) {
+    console.error('Signup error:', err);
+    res.status(500).json({ success: false, message: 'Failed to signup' });
+  }
+};
+
+app.post('/signup', rateLimit('signup_ip'), signup);
+
+app.post('/login', rateLimit('login_ip'), rateLimit('login_account', emailKey), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -413,34 +1749,49 @@ app.post('/login', async (req, res) => {
       });
     }
 
+    await releaseExpiredLock(user, req);
+    if (user.lockedUntil) {
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
     // Verify password
     const validPass = await bcrypt.compare(password, user.password);
     if (!validPass) {
+      await recordFailedLogin(user, req);
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid credentials' 
       });
     }
+    await clearFailedLogins(user);
 
-    // Create token with user roles
-    const token = jwt.sign(
-      { 
-        user: { 
-          id: user._id,
-          roles: user.roles
-        } 
-      }, 
-      JWT_SECRET,
-      { expiresIn: '8h' }
-    );
+    if (user.isActive === false) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account is deactivated' 
+      });
+    }
+
+    // Create session; the access token carries the user roles
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    try {
+      await mergeGuestCart(req.header(CART_TOKEN_HEADER), user._id);
+    } catch (err) {
+      console.error('Merge guest cart error:', err);
+    }
 
     res.json({ 
       success: true, 
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         email: user.email,
-        roles: user.roles
+        roles: user.roles,
+        permissions: permissionsFor(user.roles),
+        emailVerified: user.emailVerified
       }
     });
   } catch (err) {
@@ -452,570 +1803,2795 @@ app.post('/login', async (req, res) => {
     });
   }
 });
-app.post('/register', async (req, res) => {
-  try {
-    const { email, password, isAdmin } = req.body;
-    
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'User already exists' 
-      });
-    }
+// Older admin panel builds still post here; any isAdmin flag is ignored
+app.post('/register', rateLimit('signup_ip'), signup);
+
+// === STAFF INVITES ===
+// Staff accounts are created by redeeming an invite. The link carries a JWT
+// naming the invite record, so it expires by itself, while the record makes
+// it single-use and revocable.
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7;
+const INVITE_AUDIENCE = 'staff-invite';
+const STAFF_ROLES = ROLES.filter(role => role !== 'user');
+
+const inviteSchema = new mongoose.Schema({
+  email: { type: String, required: true },
+  roles: { type: [String], required: true, enum: STAFF_ROLES },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date }
+}, { timestamps: true });
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const roles = isAdmin ? ['admin'] : ['user'];
-    
-    const newUser = new User({ 
-      email, 
-      password: hashedPassword,
-      roles
-    });
+const Invite = mongoose.model('Invite', inviteSchema);
 
-    await newUser.save();
+const inviteStatus = (invite) => {
+  if (invite.acceptedAt) return 'accepted';
+  if (invite.revokedAt) return 'revoked';
+  if (invite.expiresAt < new Date()) return 'expired';
+  return 'pending';
+};
 
-    res.json({ 
-      success: true,
-      message: 'User registered successfully'
-    });
-  } catch (err) {
-    console.error('Registration error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to register user',
-      error: err.message 
-    });
-  }
+const formatInvite = (invite) => ({
+  id: invite._id,
+  email: invite.email,
+  roles: invite.roles,
+  status: inviteStatus(invite),
+  invitedBy: invite.invitedBy,
+  expiresAt: invite.expiresAt,
+  acceptedAt: invite.acceptedAt,
+  revokedAt: invite.revokedAt,
+  createdAt: invite.createdAt
 });
 
-// === AUTH MIDDLEWARE ===
-const fetchUser = (req, res, next) => {
-  const token = req.header('auth-token');
-  if (!token) return res.status(401).json({ error: 'Access denied. No token.' });
+const signInviteToken = (invite) => jwt.sign(
+  { invite: invite._id },
+  JWT_SECRET,
+  { audience: INVITE_AUDIENCE, expiresIn: `${INVITE_TTL_DAYS}d` }
+);
+
+// Resolves to the pending invite named by the token, or { error }
+const loadPendingInvite = async (token) => {
+  let claims;
   try {
-    const data = jwt.verify(token, JWT_SECRET);
-    req.user = data.user;
-    next();
+    claims = jwt.verify(String(token), JWT_SECRET, { audience: INVITE_AUDIENCE });
   } catch {
-    return res.status(401).json({ error: 'Invalid token' });
+    return { error: 'Invite link is invalid or has expired' };
   }
-};
-
-// app.post('/register-admin', async (req, res) => {
-//   try {
-//     const { email, password } = req.body;
-    
-//     // Check if admin already exists
-//     const existingAdmin = await User.findOne({ email, roles: 'admin' });
-//     if (existingAdmin) {
-//       return res.status(400).json({ 
-//         success: false, 
-//         message: 'Admin already exists' 
-//       });
-//     }
-
-//     const hashedPassword = await bcrypt.hash(password, 10);
-//     const admin = new User({ 
-//       email, 
-//       password: hashedPassword,
-//       roles: ['admin']
-//     });
-
-//     await admin.save();
-
-//     res.json({ 
-//       success: true,
-//       message: 'Admin registered successfully'
-//     });
-//   } catch (err) {
-//     console.error('Admin registration error:', err);
-//     res.status(500).json({ 
-//       success: false, 
-//       message: 'Failed to register admin',
-//       error: err.message 
-//     });
-//   }
-// });
-
-// // 3. Improved Admin Login
-// app.post('/admin/login', async (req, res) => {
-//   try {
-//     const { email, password } = req.body;
-
-//     if (!email || !password) {
-//       return res.status(400).json({ 
-//         success: false, 
-//         message: 'Email and password are required' 
-//       });
-//     }
-
-//     // Find user with admin role
-//     const admin = await User.findOne({ 
-//       email,
-//       roles: { $in: ['admin'] } 
-//     });
-
-//     if (!admin) {
-//       return res.status(401).json({ 
-//         success: false, 
-//         message: 'Admin account not found' 
-//       });
-//     }
-
-//     const validPass = await bcrypt.compare(password, admin.password);
-//     if (!validPass) {
-//       return res.status(401).json({ 
-//         success: false, 
-//         message: 'Invalid credentials' 
-//       });
-//     }
-
-//     const token = jwt.sign(
-//       { 
-//         user: { 
-//           id: admin._id,
-//           roles: admin.roles,
-//           isAdmin: true 
-//         } 
-//       }, 
-//       JWT_SECRET,
-//       { expiresIn: '8h' }
-//     );
-
-//     res.json({ 
-//       success: true, 
-//       token,
-//       user: {
-//         id: admin._id,
-//         email: admin.email,
-//         roles: admin.roles
-//       }
-//     });
-//   } catch (err) {
-//     console.error('Admin login error:', err);
-//     res.status(500).json({ 
-//       success: false, 
-//       message: 'Login failed',
-//       error: err.message 
-//     });
-//   }
-// });
-
-// 5. Admin-specific Middleware
-// const requireAdmin = (req, res, next) => {
-//   if (!req.user.roles.includes('admin')) {
-//     return res.status(403).json({ 
-//       success: false, 
-//       message: 'Admin access required' 
-//     });
-//   }
-//   next();
-// };
-
-
-// === AUTH MIDDLEWARE ===
-const authenticateAdmin = async (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
 
-  if (!token) {
-    return res.status(401).json({ success: false, message: 'No token provided' });
+  const invite = await Invite.findById(claims.invite);
+  if (!invite || inviteStatus(invite) !== 'pending') {
+    return { error: 'Invite link is invalid or has expired' };
   }
+  return { invite };
+};
+
+// Accounts may have signed up with any capitalisation of the address
+const inviteeAccountFilter = (invite) => ({ email: new RegExp(`^${escapeRegex(invite.email)}$`, 'i') });
+
+const sendInviteEmail = async (invite, inviter) => {
+  const link = `${CLIENT_URL}/accept-invite?token=${signInviteToken(invite)}`;
+  const from = inviter.name || inviter.email;
+  await sendMail({
+    to: invite.email,
+    subject: 'You have been invited to the Dressmart admin',
+    text: `${from} has invited you to join the Dressmart team as ${invite.roles.join(', ')}.\n\nOpen this link to set up your account:\n${link}\n\nThe invite expires in ${INVITE_TTL_DAYS} days.`,
+    html: `<p>${from} has invited you to join the Dressmart team as ${invite.roles.join(', ')}.</p><p><a href="${link}">Set up your account</a></p><p>The invite expires in ${INVITE_TTL_DAYS} days.</p>`
+  });
+};
 
+app.post('/admin/invites', authenticate, requirePermission('users:roles'), async (req, res) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    // Invites are matched to accounts ignoring case, so store one spelling
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const { roles } = req.body;
 
-    const user = await User.findById(decoded.user.id);
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'User not found' });
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ success: false, message: 'A valid email address is required' });
     }
-
-    if (!user.roles.includes('admin')) {
-      return res.status(403).json({ success: false, message: 'Access denied: Not an admin' });
+    if (!Array.isArray(roles) || !roles.length) {
+      return res.status(400).json({ success: false, message: 'At least one role is required' });
+    }
+    const invalid = roles.filter(role => !STAFF_ROLES.includes(role));
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown roles: ${invalid.join(', ')}. Allowed values are ${STAFF_ROLES.join(', ')}.`
+      });
     }
 
-    req.user = user; // Attach user to request
-    next();
+    // A new invite replaces any pending one for the same address
+    await Invite.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const invite = await Invite.create({
+      email,
+      roles: [...new Set(roles)],
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await sendInviteEmail(invite, req.user);
+    await recordAudit(req, { action: 'invite.create', targetType: 'invite', targetId: invite._id, after: formatInvite(invite) });
+
+    res.status(201).json({ success: true, invite: formatInvite(invite) });
   } catch (err) {
-    return res.status(401).json({ success: false, message: 'Invalid token' });
+    console.error('Create invite error:', err);
+    res.status(500).json({ success: false, message: 'Failed to create invite' });
   }
-};
-
+});
 
-// === CART ROUTES ===
-app.post('/addtocart', fetchUser, async (req, res) => {
+app.get('/admin/invites', authenticate, requirePermission('users:read'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user.cartData) user.cartData = {};
-    user.cartData[req.body.itemId] = (user.cartData[req.body.itemId] || 0) + 1;
-    await user.save();
-    res.json({ success: true });
+    const invites = await Invite.find().sort({ createdAt: -1 }).populate('invitedBy', 'name email');
+    const status = req.query.status;
+    const formatted = invites.map(formatInvite).filter(invite => !status || invite.status === status);
+    res.json({ success: true, invites: formatted });
   } catch (err) {
-    console.error('Add to cart error:', err);
-    res.status(500).json({ success: false });
+    console.error('List invites error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch invites' });
   }
 });
 
-app.post('/removefromcart', fetchUser, async (req, res) => {
+app.delete('/admin/invites/:id', authenticate, requirePermission('users:roles'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (user.cartData && user.cartData[req.body.itemId] > 0) {
-      user.cartData[req.body.itemId] -= 1;
-      await user.save();
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Invite not found' });
     }
-    res.json({ success: true });
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invite) return res.status(404).json({ success: false, message: 'No pending invite found' });
+    await recordAudit(req, {
+      action: 'invite.revoke',
+      targetType: 'invite',
+      targetId: invite._id,
+      before: { status: 'pending' },
+      after: { status: 'revoked', revokedAt: invite.revokedAt }
+    });
+
+    res.json({ success: true, invite: formatInvite(invite) });
   } catch (err) {
-    console.error('Remove from cart error:', err);
-    res.status(500).json({ success: false });
+    console.error('Revoke invite error:', err);
+    res.status(500).json({ success: false, message: 'Failed to revoke invite' });
   }
 });
 
-app.post('/updatecartquantity', fetchUser, async (req, res) => {
+// Lets the accept page show who the invite is for before asking for a password
+app.get('/invites/:token', async (req, res) => {
   try {
-    const { itemId, quantity } = req.body;
-    const user = await User.findById(req.user.id);
-    if (quantity < 1) return res.status(400).json({ success: false, message: 'Quantity must be at least 1' });
+    const { invite, error } = await loadPendingInvite(req.params.token);
+    if (error) return res.status(400).json({ success: false, message: error });
 
-    user.cartData[itemId] = quantity;
-    await user.save();
-    res.json({ success: true });
+    const accountExists = Boolean(await User.exists(inviteeAccountFilter(invite)));
+    res.json({
+      success: true,
+      invite: { email: invite.email, roles: invite.roles, expiresAt: invite.expiresAt },
+      accountExists
+    });
   } catch (err) {
-    console.error('Update cart quantity error:', err);
-    res.status(500).json({ success: false });
+    console.error('Get invite error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load invite' });
   }
 });
 
-const promoCodes = {
-  SAVE10: 10,
-  OFF20: 20,
-  DRESS5: 5,
-};
-
-app.post('/applydiscount', fetchUser, async (req, res) => {
+// New staff choose a password here. If the email already has an account,
+// its current password must be given and the roles are added to it.
+app.post('/invites/accept', async (req, res) => {
   try {
-    const { code } = req.body;
-    const user = await User.findById(req.user.id);
-    const amount = promoCodes[code.toUpperCase()];
+    const { token, name, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'Token and password are required' });
+    }
+
+    const { invite, error } = await loadPendingInvite(token);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    let user = await User.findOne(inviteeAccountFilter(invite));
+    if (user) {
+      if (!(await bcrypt.compare(password, user.password))) {
+        return res.status(401).json({ success: false, message: 'Invalid credentials' });
+      }
+      if (user.isActive === false) {
+        return res.status(403).json({ success: false, message: 'Account is deactivated' });
+      }
+    } else {
+      const weakPassword = passwordProblem(password);
+      if (weakPassword) return res.status(400).json({ success: false, message: weakPassword });
+    }
 
-    if (!amount) return res.status(400).json({ success: false, message: 'Invalid promo code' });
+    // Claim the invite before granting anything so it can only be used once
+    const claimed = await Invite.findOneAndUpdate(
+      { _id: invite._id, acceptedAt: null, revokedAt: null },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return res.status(400).json({ success: false, message: 'Invite link is invalid or has expired' });
 
-    user.discount = amount;
+    if (user) {
+      user.roles = [...new Set([...(user.roles || ['user']), ...claimed.roles])];
+    } else {
+      // The invite email proves the address
+      user = new User({
+        name: typeof name === 'string' ? name.trim() : undefined,
+        email: claimed.email.toLowerCase(),
+        password: await bcrypt.hash(password, 10),
+        roles: ['user', ...claimed.roles],
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+    }
     await user.save();
 
-    res.json({ success: true, discount: amount });
+    claimed.acceptedBy = user._id;
+    await claimed.save();
+
+    const { token: accessToken, refreshToken, expiresIn } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        email: user.email,
+        roles: user.roles,
+        permissions: permissionsFor(user.roles)
+      }
+    });
   } catch (err) {
-    console.error('Apply discount error:', err);
-    res.status(500).json({ success: false });
+    console.error('Accept invite error:', err);
+    res.status(500).json({ success: false, message: 'Failed to accept invite' });
   }
 });
 
-app.get('/getcartsummary', fetchUser, async (req, res) => {
+// === SUPER-ADMIN BOOTSTRAP ===
+// Creates the first super-admin on a fresh install. Disabled unless
+// BOOTSTRAP_TOKEN is set, the caller must send it in the bootstrap-token
+// header, and it refuses once any account with full access exists.
+// Unset BOOTSTRAP_TOKEN again after use.
+const BOOTSTRAP_TOKEN = process.env.BOOTSTRAP_TOKEN;
+
+const bootstrapTokenMatches = (given) => {
+  if (!BOOTSTRAP_TOKEN || typeof given !== 'string') return false;
+  // Compare hashes so timingSafeEqual gets equal-length buffers
+  return crypto.timingSafeEqual(
+    Buffer.from(hashToken(given), 'hex'),
+    Buffer.from(hashToken(BOOTSTRAP_TOKEN), 'hex')
+  );
+};
+
+app.post('/setup/super-admin', async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    const cart = user.cartData || {};
+    if (!BOOTSTRAP_TOKEN) return res.status(404).json({ success: false, message: 'Not found' });
+    if (!bootstrapTokenMatches(req.header('bootstrap-token'))) {
+      return res.status(401).json({ success: false, message: 'Invalid bootstrap token' });
+    }
 
-    const productIds = Object.keys(cart);
-    const products = await Product.find({ id: { $in: productIds.map(Number) } });
+    const existingAdmin = await User.exists({ roles: { $in: ['super-admin', 'admin'] } });
+    if (existingAdmin) {
+      return res.status(409).json({ success: false, message: 'An administrator already exists; use invites instead' });
+    }
 
-    let cartTotalAmount = 0;
-    let cartTotalItems = 0;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    const { name, password } = req.body;
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ success: false, message: 'A valid email address is required' });
+    }
+    const weakPassword = passwordProblem(password);
+    if (weakPassword) return res.status(400).json({ success: false, message: weakPassword });
 
-    products.forEach(product => {
-      const qty = cart[product.id] || 0;
-      cartTotalAmount += product.new_price * qty;
-      cartTotalItems += qty;
+    const hashedPassword = await bcrypt.hash(password, 10);
+    // Promote an existing account with that email rather than failing on the unique index
+    const user = await User.findOneAndUpdate(
+      { email },
+      {
+        $set: { password: hashedPassword, roles: ['user', 'super-admin'], isActive: true, passwordChangedAt: new Date() },
+        $setOnInsert: { name: typeof name === 'string' ? name.trim() : undefined, emailVerified: false }
+      },
+      { new: true, upsert: true, select: '-password' }
+    );
+    await revokeUserSessions(user._id, 'bootstrap');
+    await recordAudit(req, {
+      action: 'user.bootstrap',
+      targetType: 'user',
+      targetId: user._id,
+      actor: user,
+      after: { email: user.email, roles: user.roles }
     });
 
-    res.json({
-      cartTotalAmount: cartTotalAmount.toFixed(2),
-      cartTotalItems,
-      discountApplied: user.discount || 0
-    });
+    res.status(201).json({ success: true, message: 'Super-admin created', user });
   } catch (err) {
-    console.error('Cart summary error:', err);
-    res.status(500).json({ success: false });
+    console.error('Bootstrap super-admin error:', err);
+    res.status(500).json({ success: false, message: 'Failed to create super-admin' });
   }
 });
 
+// === SESSION ROUTES ===
+app.post('/refresh-token', async (req, res) => {
+  try {
+    const [sessionId, secret] = String(req.body.refreshToken || '').split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ success: false, message: 'Session has ended, please log in again' });
+    }
 
+    if (session.refreshTokenHash !== hashToken(secret)) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'refresh_token_reuse';
+      await session.save();
+      return res.status(401).json({ success: false, message: 'Session has ended, please log in again' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.isActive === false) {
+      return res.status(401).json({ success: false, message: 'Account is deactivated' });
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+      { $set: { refreshTokenHash: hashToken(newSecret), lastUsedAt: new Date() } },
+      { new: true }
+    );
+    // Another request rotated the token first
+    if (!rotated) return res.status(401).json({ success: false, message: 'Invalid refresh token' });
 
-// === ADMIN USERS ENDPOINT ===
-app.get('/admin/users', authenticateAdmin, async (req, res) => {
-  try {
-    const users = await User.find({}, { password: 0, cartData: 0, __v: 0 }).lean();
     res.json({
-      status: 'success',
-      data: {
-        users: users.map(user => ({
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          roles: user.roles || ['user'],
-          isActive: user.isActive !== false,
-          createdAt: user.date
-        }))
-      }
+      success: true,
+      token: signAccessToken(user, rotated),
+      refreshToken: `${rotated._id}.${newSecret}`,
+      expiresIn: ACCESS_TOKEN_TTL
     });
   } catch (err) {
-    res.status(500).json({ status: 'error', message: 'Failed to fetch users' });
+    console.error('Refresh token error:', err);
+    res.status(500).json({ success: false, message: 'Failed to refresh token' });
   }
 });
 
-// === USER ROLE UPDATE ===
-app.put('/admin/users/:id/roles', authenticateAdmin, async (req, res) => {
+app.post('/logout', authenticate, async (req, res) => {
   try {
-    const { roles } = req.body;
-    if (!Array.isArray(roles)) return res.status(400).json({ success: false, message: 'Roles must be an array' });
-
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { roles },
-      { new: true, select: '-password -cartData' }
+    await Session.updateOne(
+      { _id: req.session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
     );
-
-    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-
-    res.json({ success: true, user });
+    res.json({ success: true });
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to update user roles' });
+    console.error('Logout error:', err);
+    res.status(500).json({ success: false, message: 'Failed to log out' });
   }
 });
 
-// === TOGGLE USER STATUS ===
-app.put('/admin/users/:id/status', authenticateAdmin, async (req, res) => {
+app.post('/logout-all', authenticate, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-
-    user.isActive = !user.isActive;
-    await user.save();
-
-    res.json({
-      success: true,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        roles: user.roles,
-        isActive: user.isActive,
-        date: user.date
-      }
-    });
+    const result = await revokeUserSessions(req.user.id, 'logout_all');
+    res.json({ success: true, sessionsRevoked: result.modifiedCount });
   } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to toggle user status' });
+    console.error('Logout all error:', err);
+    res.status(500).json({ success: false, message: 'Failed to log out of all devices' });
   }
 });
 
+// === PASSWORD RESET & EMAIL VERIFICATION ===
+// Limited per address as well as per IP so it can't be used to flood an inbox
+app.post('/forgot-password', rateLimit('forgot_password_ip'), rateLimit('forgot_password_account', emailKey), async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    if (!email) return res.status(400).json({ success: false, message: 'Email is required' });
 
+    // Same reply whether or not the account exists, so emails can't be probed
+    const reply = { success: true, message: 'If an account exists for this email, a reset link has been sent' };
 
+    const user = await User.findOne({ email });
+    if (!user) return res.json(reply);
+
+    const token = await issueAccountToken(user._id, 'password_reset');
+    const link = `${CLIENT_URL}/reset-password?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Dressmart password',
+      text: `Someone asked to reset the password for this account.\n\nOpen this link to choose a new password:\n${link}\n\nThe link expires in 1 hour. If this wasn't you, you can ignore this email.`,
+      html: `<p>Someone asked to reset the password for this account.</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in 1 hour. If this wasn't you, you can ignore this email.</p>`
+    });
 
+    res.json(reply);
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ success: false, message: 'Failed to start password reset' });
+  }
+});
 
-// === ENHANCED ORDER MODEL ===
-const orderSchema = new mongoose.Schema({
-  user: { 
-    type: mongoose.Schema.Types.ObjectId, 
-    ref: 'User', 
-    required: true 
-  },
-  items: [
-    {
-      productId: { type: Number, required: true },
-      name: { type: String, required: true },
-      image: { type: String, required: true },
-      price: { type: Number, required: true },
-      quantity: { type: Number, required: true, min: 1 }
-    }
-  ],
-  shippingInfo: {
-    firstName: { type: String, required: true },
-    lastName: { type: String, required: true },
-    email: { type: String, required: true },
-    address: { type: String, required: true },
-    city: { type: String, required: true },
-    state: { type: String, required: true },
-    zipCode: { type: String, required: true },
-    country: { type: String, required: true },
-    phone: { type: String, required: true }
-  },
-  paymentInfo: {
-    method: { type: String, required: true, enum: ['creditCard', 'cash'] },
-    status: { type: String, default: 'Pending' },
-    cardLast4: { type: String },
-    cardExpiry: { type: String }
-  },
-  totalAmount: { type: Number, required: true },
-  shippingFee: { type: Number, default: 100.00 },
-  status: { 
-    type: String, 
-    default: 'Processing',
-    enum: ['Processing', 'Shipped', 'Delivered', 'Cancelled']
-  },
-  orderDate: { type: Date, default: Date.now }
-}, { timestamps: true });
-
-const Order = mongoose.model('Order', orderSchema);
-
-// === ENHANCED PLACE ORDER ENDPOINT ===
-app.post('/placeorder', fetchUser, async (req, res) => {
+app.post('/reset-password', async (req, res) => {
   try {
-    const { items, shippingInfo, paymentInfo, totalAmount } = req.body;
-    
-    // Validate required fields
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Order must contain at least one item' 
-      });
-    }
-
-    if (!shippingInfo || !paymentInfo || totalAmount === undefined) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required fields' 
-      });
-    }
-
-    // Validate shipping info
-    const requiredShippingFields = ['firstName', 'lastName', 'email', 'address', 'city', 'state', 'zipCode', 'country', 'phone'];
-    for (const field of requiredShippingFields) {
-      if (!shippingInfo[field]) {
-        return res.status(400).json({ 
-          success: false, 
-          message: `Missing shipping field: ${field}` 
-        });
-      }
-    }
-
-    // Validate payment info
-    if (!['creditCard', 'cash'].includes(paymentInfo.method)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid payment method' 
-      });
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'Token and new password are required' });
     }
+    const weakPassword = passwordProblem(password);
+    if (weakPassword) return res.status(400).json({ success: false, message: weakPassword });
 
-    if (paymentInfo.method === 'creditCard' && !paymentInfo.cardLast4) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Card information required for credit card payment' 
-      });
+    const accountToken = await consumeAccountToken(token, 'password_reset');
+    if (!accountToken) {
+      return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
     }
 
-    // Create order
-    const order = new Order({
-      user: req.user.id,
-      items: items.map(item => ({
-        productId: item.productId,
-        name: item.name,
-        image: item.image,
-        price: item.price,
-        quantity: item.quantity
-      })),
-      shippingInfo: {
-        firstName: shippingInfo.firstName,
-        lastName: shippingInfo.lastName,
-        email: shippingInfo.email,
-        address: shippingInfo.address,
-        city: shippingInfo.city,
-        state: shippingInfo.state,
-        zipCode: shippingInfo.zipCode,
-        country: shippingInfo.country,
-        phone: shippingInfo.phone
-      },
-      paymentInfo: {
-        method: paymentInfo.method,
-        status: 'Pending',
-        ...(paymentInfo.method === 'creditCard' && {
-          cardLast4: paymentInfo.cardLast4,
-          cardExpiry: paymentInfo.cardExpiry
-        })
-      },
-      totalAmount: parseFloat(totalAmount),
-      shippingFee: 100.00 // Fixed shipping fee as in frontend
-    });
-
-    await order.save();
-
-    // Clear user's cart
+    const hashedPassword = await bcrypt.hash(password, 10);
+    // Opening the reset link proves the user controls the mailbox
     await User.updateOne(
-      { _id: req.user.id },
-      { $set: { cartData: {} } }
+      { _id: accountToken.user },
+      { $set: { password: hashedPassword, passwordChangedAt: new Date(), emailVerified: true } }
     );
+    await revokeUserSessions(accountToken.user, 'password_reset');
+    await unlockAccount(accountToken.user, { reason: 'password_reset', ip: req.ip });
 
-    res.status(201).json({ 
-      success: true, 
-      orderId: order._id,
-      message: 'Order placed successfully'
-    });
-
+    res.json({ success: true, message: 'Password has been reset' });
   } catch (err) {
-    console.error('Place order error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to place order',
-      error: err.message
-    });
+    console.error('Reset password error:', err);
+    res.status(500).json({ success: false, message: 'Failed to reset password' });
   }
 });
 
-// === GET ORDER DETAILS ===
-app.get('/orders/:orderId', fetchUser, async (req, res) => {
+app.post('/verify-email', async (req, res) => {
   try {
-    const order = await Order.findOne({
-      _id: req.params.orderId,
-      user: req.user.id
-    }).lean();
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ success: false, message: 'Token is required' });
 
-    if (!order) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Order not found' 
-      });
+    const accountToken = await consumeAccountToken(token, 'email_verification');
+    if (!accountToken) {
+      return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired' });
     }
 
-    // Convert MongoDB ObjectId to string and format dates
-    const formattedOrder = {
-      ...order,
-      _id: order._id.toString(),
-      orderDate: new Date(order.orderDate).toISOString(),
-      createdAt: new Date(order.createdAt).toISOString(),
-      updatedAt: new Date(order.updatedAt).toISOString(),
-      // Ensure items have proper IDs
-      items: order.items.map(item => ({
-        ...item,
-        _id: item._id ? item._id.toString() : undefined
-      }))
-    };
+    await User.updateOne(
+      { _id: accountToken.user },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
 
-    res.json({ 
-      success: true, 
-      order: formattedOrder 
-    });
+    res.json({ success: true, message: 'Email address verified' });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    res.status(500).json({ success: false, message: 'Failed to verify email' });
+  }
+});
+
+app.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    if (user.emailVerified) return res.json({ success: true, message: 'Email address is already verified' });
 
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: 'Verification email sent' });
   } catch (err) {
-    console.error('Get order error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch order',
-      error: err.message 
-    });
+    console.error('Resend verification error:', err);
+    res.status(500).json({ success: false, message: 'Failed to send verification email' });
   }
 });
 
+// === CART MODEL ===
+const cartItemSchema = new mongoose.Schema({
+  productId: { type: Number, required: true },
+  sku: { type: String },
+  color: { type: String },
+  size: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  priceAtAdd: { type: Number, required: true },
+  addedAt: { type: Date, default: Date.now }
+});
+
+// Account carts are keyed by user, guest carts by a server-issued token.
+// Only the token's hash is stored, like session and reset tokens.
+const cartSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true, sparse: true },
+  tokenHash: { type: String, unique: true, sparse: true },
+  items: { type: [cartItemSchema], default: [] },
+  couponCode: { type: String, default: null }
+}, { timestamps: true });
 
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30;
 
+// Abandoned guest carts expire on their own
+cartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_CART_TTL_DAYS * 24 * 60 * 60, partialFilterExpression: { tokenHash: { $exists: true } } }
+);
 
-// === ADMIN ORDER ROUTES ===
+const Cart = mongoose.model('Cart', cartSchema);
 
-// Get all orders (Admin only)
-app.get('/admin/orders', authenticateAdmin, async (req, res) => {
+const CART_TOKEN_HEADER = 'cart-token';
+
+const newCartToken = () => crypto.randomBytes(24).toString('hex');
+
+const currentUserId = (req) => (req.user ? req.user.id : null);
+
+// Attaches req.user when an auth-token is sent and req.cart for either the
+// account or the guest. Guests without a (known) cart token get a new cart
+// that is only stored once something is saved to it; clients should keep the
+// cart-token returned on every response.
+const identifyCart = async (req, res, next) => {
   try {
-    const orders = await Order.find()
-      .sort({ createdAt: -1 })
-      .populate('user', 'name email');
+    const authToken = readAccessToken(req);
+    if (authToken) {
+      const auth = await verifyAccessToken(authToken);
+      if (auth.error) return authFailure(res, 401, auth.error);
+      req.user = auth.user;
+      req.session = auth.session;
+    }
 
-    res.json({ 
+    if (req.user) {
+      req.cart = await findOrCreateUserCart(req.user.id);
+    } else {
+      let token = req.header(CART_TOKEN_HEADER);
+      req.cart = token && await Cart.findOne({ tokenHash: hashToken(token) });
+      if (!req.cart) {
+        token = newCartToken();
+        req.cart = new Cart({ tokenHash: hashToken(token), items: [] });
+      }
+      res.set(CART_TOKEN_HEADER, token);
+    }
+    next();
+  } catch (err) {
+    console.error('Identify cart error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load cart' });
+  }
+};
+
+// Moves a guest cart into the user's cart after login/signup
+const mergeGuestCart = async (token, userId) => {
+  if (!token) return;
+  const guestCart = await Cart.findOne({ tokenHash: hashToken(token) });
+  if (!guestCart) return;
+
+  const cart = await findOrCreateUserCart(userId);
+  for (const item of guestCart.items) {
+    const selection = await resolveCartSelection(item);
+    if (selection.error) continue;
+
+    const existing = findCartItem(cart, selection.product, selection.variant);
+    const quantity = Math.min(
+      (existing ? existing.quantity : 0) + item.quantity,
+      availableStock(selection.product, selection.variant)
+    );
+    if (quantity > 0) await setCartItemQuantity(cart, selection, quantity);
+  }
+
+  if (!cart.couponCode && guestCart.couponCode) {
+    cart.couponCode = guestCart.couponCode;
+    await cart.save();
+  }
+  await guestCart.deleteOne();
+};
+
+const findOrCreateUserCart = async (userId) => {
+  const result = await Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { new: true, upsert: true, includeResultMetadata: true }
+  );
+  const cart = result.value;
+  if (!result.lastErrorObject.updatedExisting) await importLegacyCart(cart, userId);
+  return cart;
+};
+
+// Accounts from before the Cart model kept their cart on the user document as
+// `cartData` ("productId" or "productId:sku" -> quantity) plus `couponCode`.
+// The first time such a user's cart is created those fields are moved into it;
+// lines that no longer resolve to a product/variant are dropped.
+const importLegacyCart = async (cart, userId) => {
+  const legacy = await User.collection.findOneAndUpdate(
+    { _id: new mongoose.Types.ObjectId(String(userId)), $or: [{ cartData: { $exists: true } }, { couponCode: { $exists: true } }] },
+    { $unset: { cartData: '', couponCode: '' } },
+    { projection: { cartData: 1, couponCode: 1 } }
+  );
+  if (!legacy) return;
+
+  for (const [key, qty] of Object.entries(legacy.cartData || {})) {
+    if (!(qty > 0)) continue;
+    const [productId, sku] = key.split(':');
+    const selection = await resolveCartSelection({ productId, sku });
+    if (selection.error) continue;
+
+    const quantity = Math.min(qty, availableStock(selection.product, selection.variant));
+    if (quantity > 0) await setCartItemQuantity(cart, selection, quantity);
+  }
+
+  if (legacy.couponCode && !cart.couponCode) {
+    cart.couponCode = legacy.couponCode;
+    await cart.save();
+  }
+};
+
+const availableStock = (product, variant) => (variant ? variant.stock : product.stock || 0);
+
+// Looks up the product/variant a cart request refers to.
+// Resolves to { product, variant } or { error, httpStatus }.
+const resolveCartSelection = async ({ productId, sku, color, size }) => {
+  const product = await Product.findOne({ id: Number(productId) });
+  if (!product) return { error: 'Product not found', httpStatus: 404 };
+  if (product.available === false) return { error: 'Product is not available', httpStatus: 400 };
+
+  let variant = null;
+  if (product.variants.length) {
+    variant = findVariant(product, { sku, color, size });
+    if (!variant) return { error: 'Please select a valid color and size', httpStatus: 400 };
+  }
+
+  return { product, variant };
+};
+
+const findCartItem = (cart, product, variant) => cart.items.find(item =>
+  item.productId === product.id && (item.sku || null) === (variant ? variant.sku : null)
+);
+
+// Sets the line for the selected product/variant to exactly `quantity` units
+const setCartItemQuantity = async (cart, { product, variant }, quantity) => {
+  if (quantity > availableStock(product, variant)) {
+    return { error: `Only ${availableStock(product, variant)} left in stock`, httpStatus: 400 };
+  }
+
+  const existing = findCartItem(cart, product, variant);
+  if (existing) {
+    existing.quantity = quantity;
+  } else {
+    cart.items.push({
+      productId: product.id,
+      sku: variant ? variant.sku : undefined,
+      color: variant ? variant.color : undefined,
+      size: variant ? variant.size : undefined,
+      quantity,
+      priceAtAdd: variantPrice(product, variant)
+    });
+  }
+
+  await cart.save();
+  return { cart };
+};
+
+// Adds `quantity` units, merging with an existing line for the same variant
+const addToCart = (cart, selection, quantity) => {
+  const existing = findCartItem(cart, selection.product, selection.variant);
+  return setCartItemQuantity(cart, selection, (existing ? existing.quantity : 0) + quantity);
+};
+
+// Resolves cart items against the live catalog. Every item is returned with
+// flags; `purchasable` lines are the ones that count toward totals.
+const loadCartLines = async (cart) => {
+  const items = cart ? cart.items : [];
+  const products = await Product.find({ id: { $in: [...new Set(items.map(i => i.productId))] } });
+  const productsById = new Map(products.map(p => [p.id, p]));
+
+  return items.map(item => {
+    const product = productsById.get(item.productId) || null;
+    const variant = product && item.sku ? findVariant(product, { sku: item.sku }) : null;
+    const unavailable = !product || product.available === false || Boolean(item.sku && !variant);
+    const price = product && !unavailable ? variantPrice(product, variant) : item.priceAtAdd;
+    const stock = product && !unavailable ? availableStock(product, variant) : 0;
+
+    return {
+      item,
+      product,
+      variant,
+      price,
+      quantity: item.quantity,
+      priceChanged: !unavailable && !moneyEquals(price, item.priceAtAdd),
+      unavailable,
+      insufficientStock: !unavailable && stock < item.quantity,
+      purchasable: !unavailable && stock >= item.quantity,
+      stock
+    };
+  });
+};
+
+const formatCartLine = (line) => ({
+  _id: line.item._id,
+  productId: line.item.productId,
+  sku: line.item.sku,
+  color: line.item.color,
+  size: line.item.size,
+  quantity: line.quantity,
+  name: line.product ? line.product.name : null,
+  image: line.product ? line.product.image : null,
+  price: line.price,
+  priceAtAdd: line.item.priceAtAdd,
+  lineTotal: roundMoney(line.price * line.quantity),
+  stock: line.stock,
+  priceChanged: line.priceChanged,
+  unavailable: line.unavailable,
+  insufficientStock: line.insufficientStock
+});
+
+// Full cart view shared by GET /cart and /getcartsummary
+const buildCartSummary = async (cart, userId) => {
+  const lines = await loadCartLines(cart);
+  const purchasable = lines.filter(l => l.purchasable);
+  const couponResult = await evaluateCartCoupon(cart, purchasable, userId);
+  const pricing = calculateOrderPricing(purchasable, { coupon: couponResult });
+
+  return {
+    lines: lines.map(formatCartLine),
+    cartTotalAmount: pricing.subtotal.toFixed(2),
+    cartTotalItems: purchasable.reduce((sum, l) => sum + l.quantity, 0),
+    discountApplied: pricing.discount,
+    coupon: couponResult && couponResult.valid ? couponResult.coupon : null,
+    couponError: couponResult && !couponResult.valid ? couponResult.message : undefined,
+    hasChanges: lines.some(l => l.priceChanged || l.unavailable || l.insufficientStock),
+    pricing
+  };
+};
+
+// === CART ROUTES ===
+app.get('/cart', identifyCart, async (req, res) => {
+  try {
+    const { cart } = req;
+    res.json({ success: true, cart: await buildCartSummary(cart, currentUserId(req)) });
+  } catch (err) {
+    console.error('Get cart error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch cart' });
+  }
+});
+
+app.post('/cart/items', identifyCart, async (req, res) => {
+  try {
+    const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : 1;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ success: false, message: 'Quantity must be at least 1' });
+    }
+
+    const selection = await resolveCartSelection(req.body);
+    if (selection.error) return res.status(selection.httpStatus).json({ success: false, message: selection.error });
+
+    const { cart } = req;
+    const result = await addToCart(cart, selection, quantity);
+    if (result.error) return res.status(result.httpStatus).json({ success: false, message: result.error });
+
+    res.status(201).json({ success: true, cart: await buildCartSummary(result.cart, currentUserId(req)) });
+  } catch (err) {
+    console.error('Add cart item error:', err);
+    res.status(500).json({ success: false, message: 'Failed to add item to cart' });
+  }
+});
+
+app.patch('/cart/items/:itemId', identifyCart, async (req, res) => {
+  try {
+    const quantity = Number(req.body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ success: false, message: 'Quantity must be at least 1' });
+    }
+
+    const { cart } = req;
+    const item = cart.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ success: false, message: 'Cart item not found' });
+
+    const selection = await resolveCartSelection(item);
+    if (selection.error) return res.status(selection.httpStatus).json({ success: false, message: selection.error });
+
+    const result = await setCartItemQuantity(cart, selection, quantity);
+    if (result.error) return res.status(result.httpStatus).json({ success: false, message: result.error });
+
+    res.json({ success: true, cart: await buildCartSummary(cart, currentUserId(req)) });
+  } catch (err) {
+    console.error('Update cart item error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update cart item' });
+  }
+});
+
+app.delete('/cart/items/:itemId', identifyCart, async (req, res) => {
+  try {
+    const { cart } = req;
+    const item = cart.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ success: false, message: 'Cart item not found' });
+
+    item.deleteOne();
+    await cart.save();
+    res.json({ success: true, cart: await buildCartSummary(cart, currentUserId(req)) });
+  } catch (err) {
+    console.error('Remove cart item error:', err);
+    res.status(500).json({ success: false, message: 'Failed to remove cart item' });
+  }
+});
+
+app.delete('/cart', identifyCart, async (req, res) => {
+  try {
+    const { cart } = req;
+    cart.items = [];
+    cart.couponCode = null;
+    await cart.save();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Clear cart error:', err);
+    res.status(500).json({ success: false, message: 'Failed to clear cart' });
+  }
+});
+
+// Legacy cart routes used by the current storefront; they address a line by
+// product id (plus sku for variants) instead of the cart item id.
+app.post('/addtocart', identifyCart, async (req, res) => {
+  try {
+    const { itemId, sku, color, size } = req.body;
+    const selection = await resolveCartSelection({ productId: itemId, sku, color, size });
+    if (selection.error) return res.status(selection.httpStatus).json({ success: false, message: selection.error });
+
+    const { cart } = req;
+    const result = await addToCart(cart, selection, 1);
+    if (result.error) return res.status(result.httpStatus).json({ success: false, message: result.error });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Add to cart error:', err);
+    res.status(500).json({ success: false });
+  }
+});
+
+app.post('/removefromcart', identifyCart, async (req, res) => {
+  try {
+    const { itemId, sku } = req.body;
+    const { cart } = req;
+    const item = cart.items.find(i => i.productId === Number(itemId) && (i.sku || null) === (sku || null));
+
+    if (item) {
+      if (item.quantity > 1) item.quantity -= 1;
+      else item.deleteOne();
+      await cart.save();
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Remove from cart error:', err);
+    res.status(500).json({ success: false });
+  }
+});
+
+app.post('/updatecartquantity', identifyCart, async (req, res) => {
+  try {
+    const { itemId, sku } = req.body;
+    const quantity = Number(req.body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ success: false, message: 'Quantity must be at least 1' });
+    }
+
+    const selection = await resolveCartSelection({ productId: itemId, sku });
+    if (selection.error) return res.status(selection.httpStatus).json({ success: false, message: selection.error });
+
+    const { cart } = req;
+    const result = await setCartItemQuantity(cart, selection, quantity);
+    if (result.error) return res.status(result.httpStatus).json({ success: false, message: result.error });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Update cart quantity error:', err);
+    res.status(500).json({ success: false });
+  }
+});
+
+// === COUPON MODEL ===
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String },
+  type: { type: String, required: true, enum: ['percent', 'fixed', 'free_shipping'] },
+  value: { type: Number, min: 0, default: 0 }, // Percent (0-100) or currency amount
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  usageLimit: { type: Number, min: 1 }, // Across all customers; unset means unlimited
+  perUserLimit: { type: Number, min: 1 },
+  usedCount: { type: Number, min: 0, default: 0 },
+  minOrderValue: { type: Number, min: 0, default: 0 },
+  categories: { type: [String], default: [] },
+  genders: { type: [String], default: [] },
+  productIds: { type: [Number], default: [] },
+  active: { type: Boolean, default: true },
+  date: { type: Date, default: Date.now }
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+// === COUPON ENGINE ===
+// A line qualifies when it matches every restriction list the coupon sets
+const isLineEligible = (coupon, product) => {
+  const matches = (list, value) =>
+    !list.length || list.some(entry => String(entry).toLowerCase() === String(value).toLowerCase());
+
+  return matches(coupon.categories, product.category) &&
+    matches(coupon.genders, product.gender) &&
+    (!coupon.productIds.length || coupon.productIds.includes(product.id));
+};
+
+// `lines` are [{ product, price, quantity }]. Resolves to
+// { valid, message } or { valid, discount, freeShipping, coupon }.
+const evaluateCoupon = async (coupon, { lines, userId, email }) => {
+  const invalid = (message) => ({ valid: false, message });
+  const now = new Date();
+
+  if (!coupon || !coupon.active) return invalid('Invalid promo code');
+  if (coupon.startsAt && coupon.startsAt > now) return invalid('This promo code is not active yet');
+  if (coupon.endsAt && coupon.endsAt < now) return invalid('This promo code has expired');
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return invalid('This promo code has reached its usage limit');
+  }
+
+  // Guests are counted by the email they check out with
+  if (coupon.perUserLimit && (userId || email)) {
+    const uses = await Order.countDocuments({
+      ...(userId ? { user: userId } : { guestEmail: email }),
+      'coupon.code': coupon.code,
+      status: { $ne: 'Cancelled' }
+    });
+    if (uses >= coupon.perUserLimit) return invalid('You have already used this promo code');
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, l) => sum + l.price * l.quantity, 0));
+  if (subtotal < coupon.minOrderValue) {
+    return invalid(`This promo code requires a minimum order of ${coupon.minOrderValue}`);
+  }
+
+  const eligibleSubtotal = roundMoney(lines
+    .filter(l => isLineEligible(coupon, l.product))
+    .reduce((sum, l) => sum + l.price * l.quantity, 0));
+  if (eligibleSubtotal <= 0) return invalid('This promo code does not apply to the items in your cart');
+
+  let discount = 0;
+  if (coupon.type === 'percent') discount = eligibleSubtotal * Math.min(coupon.value, 100) / 100;
+  if (coupon.type === 'fixed') discount = Math.min(coupon.value, eligibleSubtotal);
+
+  return {
+    valid: true,
+    discount: roundMoney(discount),
+    freeShipping: coupon.type === 'free_shipping',
+    coupon: { code: coupon.code, type: coupon.type, value: coupon.value }
+  };
+};
+
+// Loads and evaluates the coupon applied to a cart, if any
+const evaluateCartCoupon = async (cart, lines, userId, email) => {
+  if (!cart || !cart.couponCode) return null;
+  const coupon = await Coupon.findOne({ code: cart.couponCode });
+  return evaluateCoupon(coupon, { lines, userId, email });
+};
+
+// Counts a redemption unless the global limit was reached meanwhile
+const redeemCoupon = async (code) => {
+  const result = await Coupon.updateOne(
+    {
+      code,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const releaseCoupon = async (code) => {
+  await Coupon.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+// Guests are counted per cart token; rotating tokens only helps until the IP limit
+const discountAccountKey = (req) => currentUserId(req) || req.header(CART_TOKEN_HEADER);
+
+app.post('/applydiscount', rateLimit('discount_ip'), identifyCart, rateLimit('discount_account', discountAccountKey), async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ success: false, message: 'Promo code is required' });
+
+    const { cart } = req;
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    const lines = (await loadCartLines(cart)).filter(l => l.purchasable);
+    const result = await evaluateCoupon(coupon, { lines, userId: currentUserId(req) });
+
+    if (!result.valid) return res.status(400).json({ success: false, message: result.message });
+
+    cart.couponCode = coupon.code;
+    await cart.save();
+
+    res.json({
+      success: true,
+      coupon: result.coupon,
+      discount: result.discount,
+      freeShipping: result.freeShipping
+    });
+  } catch (err) {
+    console.error('Apply discount error:', err);
+    res.status(500).json({ success: false });
+  }
+});
+
+app.get('/getcartsummary', identifyCart, async (req, res) => {
+  try {
+    const { cart } = req;
+    res.json(await buildCartSummary(cart, currentUserId(req)));
+  } catch (err) {
+    console.error('Cart summary error:', err);
+    res.status(500).json({ success: false });
+  }
+});
+
+// === ADMIN COUPON ROUTES ===
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'startsAt', 'endsAt', 'usageLimit',
+  'perUserLimit', 'minOrderValue', 'categories', 'genders', 'productIds', 'active'
+];
+
+// Copies the whitelisted fields from the body, normalizing list fields
+const pickCouponFields = (body) => {
+  const data = {};
+  for (const field of COUPON_FIELDS) {
+    if (body[field] === undefined) continue;
+    data[field] = body[field] === '' ? null : body[field];
+  }
+  if (data.categories !== undefined) data.categories = parseListField(data.categories, []);
+  if (data.genders !== undefined) data.genders = parseListField(data.genders, []).map(g => String(g).toLowerCase());
+  if (data.productIds !== undefined) data.productIds = parseListField(data.productIds, []).map(Number);
+  return data;
+};
+
+const validateCoupon = (coupon) => {
+  if (coupon.type === 'percent' && coupon.value > 100) return 'Percent discounts cannot exceed 100';
+  if (coupon.type !== 'free_shipping' && !(coupon.value > 0)) return 'Discount value must be greater than 0';
+  if (coupon.startsAt && coupon.endsAt && coupon.startsAt > coupon.endsAt) return 'Start date must be before end date';
+  if (coupon.genders.some(g => !PRODUCT_GENDERS.includes(g))) return 'Invalid gender value. Allowed values are men, women, kids.';
+  return null;
+};
+
+app.get('/admin/coupons', authenticate, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ date: -1 });
+    res.json({ success: true, coupons });
+  } catch (err) {
+    console.error('Admin get coupons error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch coupons', error: err.message });
+  }
+});
+
+app.post('/admin/coupons', authenticate, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = new Coupon(pickCouponFields(req.body));
+    const problem = validateCoupon(coupon);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    await coupon.save();
+    await recordAudit(req, { action: 'coupon.create', targetType: 'coupon', targetId: coupon._id, after: coupon });
+    res.status(201).json({ success: true, coupon });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Invalid coupon data', error: err.message });
+    }
+    console.error('Admin create coupon error:', err);
+    res.status(500).json({ success: false, message: 'Failed to create coupon', error: err.message });
+  }
+});
+
+app.put('/admin/coupons/:id', authenticate, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+    const before = auditSnapshot(coupon);
+
+    coupon.set(pickCouponFields(req.body));
+    const problem = validateCoupon(coupon);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    await coupon.save();
+    await recordAudit(req, { action: 'coupon.update', targetType: 'coupon', targetId: coupon._id, before, after: coupon });
+    res.json({ success: true, coupon });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Invalid coupon data', error: err.message });
+    }
+    console.error('Admin update coupon error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update coupon', error: err.message });
+  }
+});
+
+app.delete('/admin/coupons/:id', authenticate, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+
+    // Drop the code from carts it was applied to
+    await Cart.updateMany({ couponCode: coupon.code }, { $set: { couponCode: null } });
+    await recordAudit(req, { action: 'coupon.delete', targetType: 'coupon', targetId: coupon._id, before: coupon });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Admin delete coupon error:', err);
+    res.status(500).json({ success: false, message: 'Failed to delete coupon', error: err.message });
+  }
+});
+
+// === WISHLIST MODEL ===
+const wishlistSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, default: 'My Wishlist' },
+  isDefault: { type: Boolean, default: false },
+  items: [
+    {
+      productId: { type: Number, required: true },
+      size: { type: String },
+      color: { type: String },
+      addedAt: { type: Date, default: Date.now }
+    }
+  ],
+  // Set while the list is shared publicly
+  shareToken: { type: String, unique: true, sparse: true }
+}, { timestamps: true });
+
+// One default list per user
+wishlistSchema.index({ user: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+const findOrCreateDefaultWishlist = (userId) => Wishlist.findOneAndUpdate(
+  { user: userId, isDefault: true },
+  { $setOnInsert: { user: userId, isDefault: true, name: 'My Wishlist', items: [] } },
+  { new: true, upsert: true }
+);
+
+// Joins list items with live price and stock from the catalog
+const formatWishlist = async (wishlist, { includeShareToken = true } = {}) => {
+  const products = await Product.find({ id: { $in: wishlist.items.map(i => i.productId) } }).lean();
+  const productsById = new Map(products.map(p => [p.id, p]));
+
+  return {
+    _id: wishlist._id,
+    name: wishlist.name,
+    isDefault: wishlist.isDefault,
+    ...(includeShareToken && { shareToken: wishlist.shareToken || null }),
+    items: wishlist.items.map(item => {
+      const product = productsById.get(item.productId);
+      const variant = product ? findVariant(product, item) : null;
+      const stock = product ? (variant ? variant.stock : product.stock || 0) : 0;
+
+      return {
+        _id: item._id,
+        productId: item.productId,
+        size: item.size,
+        color: item.color,
+        addedAt: item.addedAt,
+        name: product ? product.name : null,
+        image: product ? product.image : null,
+        new_price: product ? variantPrice(product, variant) : null,
+        old_price: product ? product.old_price || null : null,
+        stock,
+        available: Boolean(product) && product.available !== false && stock > 0
+      };
+    }),
+    updatedAt: wishlist.updatedAt
+  };
+};
+
+// Loads one of the user's lists, replying 404 itself when missing
+const loadWishlist = async (req, res) => {
+  const wishlist = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Wishlist.findOne({ _id: req.params.id, user: req.user.id })
+    : null;
+  if (!wishlist) res.status(404).json({ success: false, message: 'Wishlist not found' });
+  return wishlist;
+};
+
+// === WISHLIST ROUTES ===
+app.get('/wishlists', authenticate, async (req, res) => {
+  try {
+    const wishlists = await Wishlist.find({ user: req.user.id }).sort({ isDefault: -1, createdAt: 1 }).lean();
+    res.json({
+      success: true,
+      wishlists: wishlists.map(w => ({
+        _id: w._id,
+        name: w.name,
+        isDefault: w.isDefault,
+        itemCount: w.items.length,
+        shared: Boolean(w.shareToken)
+      }))
+    });
+  } catch (err) {
+    console.error('Get wishlists error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch wishlists' });
+  }
+});
+
+app.post('/wishlists', authenticate, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ success: false, message: 'List name is required' });
+
+    const wishlist = await Wishlist.create({ user: req.user.id, name, items: [] });
+    res.status(201).json({ success: true, wishlist: await formatWishlist(wishlist) });
+  } catch (err) {
+    console.error('Create wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Failed to create wishlist' });
+  }
+});
+
+app.get('/wishlists/:id', authenticate, async (req, res) => {
+  try {
+    const wishlist = await loadWishlist(req, res);
+    if (!wishlist) return;
+    res.json({ success: true, wishlist: await formatWishlist(wishlist) });
+  } catch (err) {
+    console.error('Get wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch wishlist' });
+  }
+});
+
+app.patch('/wishlists/:id', authenticate, async (req, res) => {
+  try {
+    const wishlist = await loadWishlist(req, res);
+    if (!wishlist) return;
+
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ success: false, message: 'List name is required' });
+
+    wishlist.name = name;
+    await wishlist.save();
+    res.json({ success: true, wishlist: await formatWishlist(wishlist) });
+  } catch (err) {
+    console.error('Rename wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Failed to rename wishlist' });
+  }
+});
+
+app.delete('/wishlists/:id', authenticate, async (req, res) => {
+  try {
+    const wishlist = await loadWishlist(req, res);
+    if (!wishlist) return;
+
+    await wishlist.deleteOne();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Failed to delete wishlist' });
+  }
+});
+
+// Adds a product to the given list, or to the default list when no listId is sent
+app.post('/wishlist/items', authenticate, async (req, res) => {
+  try {
+    const { productId, size, color, listId } = req.body;
+
+    const product = await Product.findOne({ id: Number(productId) }).lean();
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    if (size && product.sizes && !product.sizes.includes(size)) {
+      return res.status(400).json({ success: false, message: 'Invalid size for this product' });
+    }
+    if (color && product.colors && !product.colors.includes(color)) {
+      return res.status(400).json({ success: false, message: 'Invalid color for this product' });
+    }
+
+    let wishlist;
+    if (listId) {
+      wishlist = mongoose.Types.ObjectId.isValid(listId)
+        ? await Wishlist.findOne({ _id: listId, user: req.user.id })
+        : null;
+      if (!wishlist) return res.status(404).json({ success: false, message: 'Wishlist not found' });
+    } else {
+      wishlist = await findOrCreateDefaultWishlist(req.user.id);
+    }
+
+    const existing = wishlist.items.find(i =>
+      i.productId === product.id && (i.size || null) === (size || null) && (i.color || null) === (color || null)
+    );
+    if (!existing) {
+      wishlist.items.push({ productId: product.id, size, color });
+      await wishlist.save();
+    }
+
+    res.status(existing ? 200 : 201).json({ success: true, wishlist: await formatWishlist(wishlist) });
+  } catch (err) {
+    console.error('Add wishlist item error:', err);
+    res.status(500).json({ success: false, message: 'Failed to add item to wishlist' });
+  }
+});
+
+app.delete('/wishlists/:id/items/:itemId', authenticate, async (req, res) => {
+  try {
+    const wishlist = await loadWishlist(req, res);
+    if (!wishlist) return;
+
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ success: false, message: 'Wishlist item not found' });
+
+    item.deleteOne();
+    await wishlist.save();
+    res.json({ success: true, wishlist: await formatWishlist(wishlist) });
+  } catch (err) {
+    console.error('Remove wishlist item error:', err);
+    res.status(500).json({ success: false, message: 'Failed to remove wishlist item' });
+  }
+});
+
+// Moves an item into the cart; the color/size may be picked at this point
+app.post('/wishlists/:id/items/:itemId/move-to-cart', authenticate, async (req, res) => {
+  try {
+    const wishlist = await loadWishlist(req, res);
+    if (!wishlist) return;
+
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ success: false, message: 'Wishlist item not found' });
+
+    const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : 1;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ success: false, message: 'Quantity must be at least 1' });
+    }
+
+    const selection = await resolveCartSelection({
+      productId: item.productId,
+      sku: req.body.sku,
+      color: req.body.color || item.color,
+      size: req.body.size || item.size
+    });
+    if (selection.error) return res.status(selection.httpStatus).json({ success: false, message: selection.error });
+
+    const cart = await findOrCreateUserCart(req.user.id);
+    const result = await addToCart(cart, selection, quantity);
+    if (result.error) return res.status(result.httpStatus).json({ success: false, message: result.error });
+
+    item.deleteOne();
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      wishlist: await formatWishlist(wishlist),
+      cart: await buildCartSummary(result.cart, req.user.id)
+    });
+  } catch (err) {
+    console.error('Move wishlist item to cart error:', err);
+    res.status(500).json({ success: false, message: 'Failed to move item to cart' });
+  }
+});
+
+app.post('/wishlists/:id/share', authenticate, async (req, res) => {
+  try {
+    const wishlist = await loadWishlist(req, res);
+    if (!wishlist) return;
+
+    if (!wishlist.shareToken) {
+      wishlist.shareToken = crypto.randomBytes(16).toString('hex');
+      await wishlist.save();
+    }
+    res.json({ success: true, shareToken: wishlist.shareToken, sharePath: `/shared/wishlists/${wishlist.shareToken}` });
+  } catch (err) {
+    console.error('Share wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Failed to share wishlist' });
+  }
+});
+
+app.delete('/wishlists/:id/share', authenticate, async (req, res) => {
+  try {
+    const wishlist = await loadWishlist(req, res);
+    if (!wishlist) return;
+
+    wishlist.shareToken = undefined;
+    await wishlist.save();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Unshare wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Failed to stop sharing wishlist' });
+  }
+});
+
+// Public read-only view of a shared list
+app.get('/shared/wishlists/:token', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ shareToken: req.params.token }).populate('user', 'name');
+    if (!wishlist) return res.status(404).json({ success: false, message: 'Wishlist not found' });
+
+    res.json({
+      success: true,
+      owner: wishlist.user ? wishlist.user.name : null,
+      wishlist: await formatWishlist(wishlist, { includeShareToken: false })
+    });
+  } catch (err) {
+    console.error('Get shared wishlist error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch wishlist' });
+  }
+});
+
+// === REVIEW MODEL ===
+const REVIEW_FITS = ['runs_small', 'true_to_size', 'runs_large'];
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+// With REVIEW_MODERATION=pre new reviews wait for an admin to approve them
+const DEFAULT_REVIEW_STATUS = process.env.REVIEW_MODERATION === 'pre' ? 'pending' : 'approved';
+
+const reviewSchema = new mongoose.Schema({
+  productId: { type: Number, required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  title: { type: String, trim: true, maxlength: 120 },
+  body: { type: String, trim: true, maxlength: 5000 },
+  fit: { type: String, enum: REVIEW_FITS },
+  verified: { type: Boolean, default: false },
+  status: { type: String, enum: REVIEW_STATUSES, default: DEFAULT_REVIEW_STATUS },
+  moderationNote: { type: String }
+}, { timestamps: true });
+
+// One review per customer per product
+reviewSchema.index({ productId: 1, user: 1 }, { unique: true });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+// Verified means the customer has a delivered order containing the product
+const isVerifiedPurchase = async (userId, productId) => Boolean(await Order.exists({
+  user: userId,
+  status: 'Delivered',
+  'items.productId': productId
+}));
+
+const refreshProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { productId, status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Product.updateOne(
+    { id: productId },
+    {
+      $set: {
+        averageRating: stats ? Math.round(stats.average * 10) / 10 : 0,
+        reviewCount: stats ? stats.count : 0
+      }
+    }
+  );
+};
+
+// Validates rating/title/body/fit from the body; `partial` allows omissions
+const pickReviewFields = (body, { partial = false } = {}) => {
+  const data = {};
+
+  if (body.rating !== undefined || !partial) {
+    const rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return { error: 'Rating must be a whole number from 1 to 5' };
+    }
+    data.rating = rating;
+  }
+
+  if (body.fit !== undefined && body.fit !== null && body.fit !== '') {
+    if (!REVIEW_FITS.includes(body.fit)) {
+      return { error: `Invalid fit value. Allowed values are ${REVIEW_FITS.join(', ')}.` };
+    }
+    data.fit = body.fit;
+  }
+
+  if (body.title !== undefined) data.title = body.title;
+  if (body.body !== undefined) data.body = body.body;
+
+  return { data };
+};
+
+const formatReview = (review) => ({
+  _id: review._id,
+  productId: review.productId,
+  author: review.user && review.user.name !== undefined ? review.user.name : undefined,
+  rating: review.rating,
+  title: review.title,
+  body: review.body,
+  fit: review.fit,
+  verified: review.verified,
+  status: review.status,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt
+});
+
+// === REVIEW ROUTES ===
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 }
+};
+
+app.get('/product/:id/reviews', async (req, res) => {
+  try {
+    const productId = Number(req.params.id);
+    if (!Number.isInteger(productId)) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const sort = REVIEW_SORTS[req.query.sort || 'newest'];
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort value. Allowed values are ${Object.keys(REVIEW_SORTS).join(', ')}.`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const filter = { productId, status: 'approved' };
+    if (req.query.verified === 'true') filter.verified = true;
+
+    const [reviews, total, fitCounts, product] = await Promise.all([
+      Review.find(filter).sort(sort).skip((page - 1) * limit).limit(limit).populate('user', 'name').lean(),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: { productId, status: 'approved', fit: { $in: REVIEW_FITS } } },
+        { $group: { _id: '$fit', count: { $sum: 1 } } }
+      ]),
+      Product.findOne({ id: productId }, { averageRating: 1, reviewCount: 1 }).lean()
+    ]);
+
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    res.json({
+      success: true,
+      averageRating: product.averageRating || 0,
+      reviewCount: product.reviewCount || 0,
+      fit: Object.fromEntries(REVIEW_FITS.map(fit => [fit, (fitCounts.find(f => f._id === fit) || {}).count || 0])),
+      reviews: reviews.map(formatReview),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total
+      }
+    });
+  } catch (err) {
+    console.error('Get reviews error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch reviews', error: err.message });
+  }
+});
+
+app.post('/product/:id/reviews', authenticate, async (req, res) => {
+  try {
+    const productId = Number(req.params.id);
+    const product = Number.isInteger(productId) ? await Product.findOne({ id: productId }).lean() : null;
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const { data, error } = pickReviewFields(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const existing = await Review.exists({ productId: product.id, user: req.user.id });
+    if (existing) {
+      return res.status(400).json({ success: false, message: 'You have already reviewed this product' });
+    }
+
+    const review = await Review.create({
+      ...data,
+      productId: product.id,
+      user: req.user.id,
+      verified: await isVerifiedPurchase(req.user.id, product.id)
+    });
+    await refreshProductRating(product.id);
+
+    res.status(201).json({ success: true, review: formatReview(review) });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, message: 'You have already reviewed this product' });
+    }
+    console.error('Create review error:', err);
+    res.status(500).json({ success: false, message: 'Failed to create review', error: err.message });
+  }
+});
+
+app.put('/reviews/:reviewId', authenticate, async (req, res) => {
+  try {
+    const review = mongoose.Types.ObjectId.isValid(req.params.reviewId)
+      ? await Review.findOne({ _id: req.params.reviewId, user: req.user.id })
+      : null;
+    if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
+
+    const { data, error } = pickReviewFields(req.body, { partial: true });
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    review.set(data);
+    review.verified = await isVerifiedPurchase(req.user.id, review.productId);
+    // Hidden reviews stay hidden; edits to approved ones go back to moderation when it is on
+    if (review.status === 'approved') review.status = DEFAULT_REVIEW_STATUS;
+    await review.save();
+    await refreshProductRating(review.productId);
+
+    res.json({ success: true, review: formatReview(review) });
+  } catch (err) {
+    console.error('Update review error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update review', error: err.message });
+  }
+});
+
+app.delete('/reviews/:reviewId', authenticate, async (req, res) => {
+  try {
+    const review = mongoose.Types.ObjectId.isValid(req.params.reviewId)
+      ? await Review.findOneAndDelete({ _id: req.params.reviewId, user: req.user.id })
+      : null;
+    if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
+
+    await refreshProductRating(review.productId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete review error:', err);
+    res.status(500).json({ success: false, message: 'Failed to delete review', error: err.message });
+  }
+});
+
+// === ADMIN REVIEW MODERATION ===
+app.get('/admin/reviews', authenticate, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.productId) {
+      filter.productId = Number(req.query.productId);
+      if (!Number.isInteger(filter.productId)) {
+        return res.status(400).json({ success: false, message: 'productId must be a whole number' });
+      }
+    }
+
+    const reviews = await Review.find(filter).sort({ createdAt: -1 }).populate('user', 'name email').lean();
+    res.json({
+      success: true,
+      reviews: reviews.map(review => ({
+        ...formatReview(review),
+        user: review.user ? { _id: review.user._id, name: review.user.name, email: review.user.email } : null,
+        moderationNote: review.moderationNote
+      }))
+    });
+  } catch (err) {
+    console.error('Admin get reviews error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch reviews', error: err.message });
+  }
+});
+
+app.put('/admin/reviews/:id/status', authenticate, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['approved', 'hidden'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be approved or hidden' });
+    }
+
+    const review = mongoose.Types.ObjectId.isValid(req.params.id) ? await Review.findById(req.params.id) : null;
+    if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
+
+    const before = { status: review.status, moderationNote: review.moderationNote };
+    review.status = status;
+    review.moderationNote = note;
+    await review.save();
+
+    await refreshProductRating(review.productId);
+    await recordAudit(req, {
+      action: 'review.moderate',
+      targetType: 'review',
+      targetId: review._id,
+      before,
+      after: { status: review.status, moderationNote: review.moderationNote }
+    });
+    res.json({ success: true, review: formatReview(review) });
+  } catch (err) {
+    console.error('Admin moderate review error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update review status', error: err.message });
+  }
+});
+
+// === ADMIN USERS ENDPOINT ===
+app.get('/admin/users', authenticate, requirePermission('users:read'), async (req, res) => {
+  try {
+    const users = await User.find({}, { password: 0, __v: 0 }).lean();
+    res.json({
+      status: 'success',
+      data: {
+        users: users.map(user => ({
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          roles: user.roles || ['user'],
+          permissions: permissionsFor(user.roles || ['user']),
+          isActive: user.isActive !== false,
+          createdAt: user.date
+        }))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ status: 'error', message: 'Failed to fetch users' });
+  }
+});
+
+// === USER ROLE UPDATE ===
+app.put('/admin/users/:id/roles', authenticate, requirePermission('users:roles'), async (req, res) => {
+  try {
+    const { roles } = req.body;
+    if (!Array.isArray(roles)) return res.status(400).json({ success: false, message: 'Roles must be an array' });
+
+    const invalid = roles.filter(role => !ROLES.includes(role));
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown roles: ${invalid.join(', ')}. Allowed values are ${ROLES.join(', ')}.`
+      });
+    }
+
+    // Keeps admins from locking themselves out
+    if (req.params.id === req.user.id && !hasPermission({ roles }, 'users:roles')) {
+      return res.status(400).json({ success: false, message: 'You cannot remove your own role management access' });
+    }
+
+    // Every account keeps the base customer role
+    const nextRoles = [...new Set(['user', ...roles])];
+
+    const previous = await User.findById(req.params.id).select('roles');
+    if (!previous) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { roles: nextRoles },
+      { new: true, select: '-password' }
+    );
+
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    await recordAudit(req, {
+      action: 'user.roles',
+      targetType: 'user',
+      targetId: user._id,
+      before: { roles: previous.roles },
+      after: { roles: user.roles }
+    });
+
+    res.json({ success: true, user, permissions: permissionsFor(user.roles) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to update user roles' });
+  }
+});
+
+// Roles and the permissions they grant, for the admin role editor
+app.get('/admin/roles', authenticate, requirePermission('users:read'), (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+  });
+});
+
+// === TOGGLE USER STATUS ===
+app.put('/admin/users/:id/status', authenticate, requirePermission('users:write'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    user.isActive = !user.isActive;
+    await user.save();
+
+    if (!user.isActive) await revokeUserSessions(user._id, 'deactivated');
+    await recordAudit(req, {
+      action: 'user.status',
+      targetType: 'user',
+      targetId: user._id,
+      before: { isActive: !user.isActive },
+      after: { isActive: user.isActive }
+    });
+
+    res.json({
+      success: true,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        roles: user.roles,
+        isActive: user.isActive,
+        date: user.date
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to toggle user status' });
+  }
+});
+
+
+app.post('/admin/users/:id/unlock', authenticate, requirePermission('users:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const user = await unlockAccount(req.params.id, { reason: 'admin', actor: req.user._id, ip: req.ip });
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: user._id,
+      before: { failedLoginCount: user.failedLoginCount, lockoutLevel: user.lockoutLevel, lockedUntil: user.lockedUntil },
+      after: { failedLoginCount: 0, lockoutLevel: 0 }
+    });
+
+    res.json({ success: true, message: 'Account unlocked' });
+  } catch (err) {
+    console.error('Unlock user error:', err);
+    res.status(500).json({ success: false, message: 'Failed to unlock account' });
+  }
+});
+
+// Lockout and unlock history, newest first
+app.get('/admin/auth-events', authenticate, requirePermission('users:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.userId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+        return res.status(400).json({ success: false, message: 'Invalid userId' });
+      }
+      filter.user = req.query.userId;
+    }
+
+    const [events, total] = await Promise.all([
+      AuthEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name email'),
+      AuthEvent.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      success: true,
+      events,
+      pagination: { page, limit, total, totalPages, hasNextPage: page < totalPages }
+    });
+  } catch (err) {
+    console.error('List auth events error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch auth events' });
+  }
+});
+
+// === AUDIT LOG ROUTES ===
+// Filters: actor (user id), action (exact, or a prefix ending in "." such as
+// "order."), targetType, targetId, from/to (dates). E.g. who cancelled an
+// order: ?targetType=order&targetId=<id>&action=order.status
+app.get('/admin/audit-log', authenticate, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { actor, action, targetType, targetId, from, to } = req.query;
+
+    const filter = {};
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        return res.status(400).json({ success: false, message: 'Invalid actor id' });
+      }
+      filter.actor = actor;
+    }
+    if (action) {
+      const name = String(action);
+      filter.action = name.endsWith('.') ? new RegExp(`^${escapeRegex(name)}`) : name;
+    }
+    if (targetType) filter.targetType = String(targetType);
+    if (targetId) filter.targetId = String(targetId);
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name email')
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      success: true,
+      entries,
+      pagination: { page, limit, total, totalPages, hasNextPage: page < totalPages }
+    });
+  } catch (err) {
+    console.error('Get audit log error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch audit log' });
+  }
+});
+
+// === ENHANCED ORDER MODEL ===
+// Allowed next states for each order status
+const ORDER_TRANSITIONS = {
+  Processing: ['Paid', 'Packed', 'Cancelled'],
+  Paid: ['Packed', 'Cancelled'],
+  Packed: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered', 'Returned'],
+  Delivered: ['Returned'],
+  Returned: ['Refunded'],
+  Cancelled: ['Refunded'],
+  Refunded: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+const orderSchema = new mongoose.Schema({
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    // Guest orders have no account; they carry guestEmail instead
+    required: function () { return !this.guestEmail; }
+  },
+  guestEmail: { type: String, lowercase: true, trim: true, index: true },
+  guestTokenHash: { type: String, select: false },
+  items: [
+    {
+      productId: { type: Number, required: true },
+      name: { type: String, required: true },
+      image: { type: String, required: true },
+      price: { type: Number, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+      sku: { type: String },
+      color: { type: String },
+      size: { type: String },
+      returnedQuantity: { type: Number, default: 0 }
+    }
+  ],
+  shippingInfo: {
+    firstName: { type: String, required: true },
+    lastName: { type: String, required: true },
+    email: { type: String, required: true },
+    address: { type: String, required: true },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    zipCode: { type: String, required: true },
+    country: { type: String, required: true },
+    phone: { type: String, required: true }
+  },
+  paymentInfo: {
+    method: { type: String, required: true, enum: ['creditCard', 'cash'] },
+    status: { type: String, default: 'Pending', enum: ['Pending', 'Paid', 'Failed', 'Refunded'] },
+    intentId: { type: String, index: true },
+    cardLast4: { type: String },
+    cardExpiry: { type: String },
+    paidAt: { type: Date },
+    refundedAt: { type: Date },
+    refundedAmount: { type: Number, default: 0 },
+    // Set when a cancelled order's automatic refund is sent to Stripe;
+    // Failed ones need a refund from /admin/orders/:id/refund
+    refundStatus: { type: String, enum: ['Requested', 'Failed'] },
+    refundError: { type: String }
+  },
+  coupon: {
+    code: { type: String },
+    type: { type: String },
+    value: { type: Number },
+    discount: { type: Number },
+    freeShipping: { type: Boolean }
+  },
+  pricing: {
+    subtotal: { type: Number },
+    discount: { type: Number, default: 0 },
+    shipping: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number }
+  },
+  totalAmount: { type: Number, required: true },
+  shippingFee: { type: Number, default: 100.00 },
+  status: { 
+    type: String, 
+    default: 'Processing',
+    enum: ORDER_STATUSES
+  },
+  statusHistory: [
+    {
+      status: { type: String, required: true },
+      from: { type: String },
+      actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      actorType: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+      note: { type: String },
+      at: { type: Date, default: Date.now }
+    }
+  ],
+  shipment: {
+    trackingNumber: { type: String },
+    carrier: { type: String },
+    shippedAt: { type: Date }
+  },
+  orderDate: { type: Date, default: Date.now },
+  // Orders placed before stock tracking never decremented inventory
+  stockReserved: { type: Boolean, default: false },
+  stockRestored: { type: Boolean, default: false }
+}, { timestamps: true });
+
+// Date-range reports and per-customer history (see ANALYTICS)
+orderSchema.index({ orderDate: -1 });
+orderSchema.index({ user: 1, orderDate: 1 });
+
+const Order = mongoose.model('Order', orderSchema);
+
+// === INVENTORY ===
+// Stock is decremented with conditional updates so two checkouts can never
+// both take the last unit; a failed line rolls back the lines already taken.
+const groupStockLines = (items) => {
+  const lines = new Map();
+  for (const item of items) {
+    const key = `${item.productId}:${item.sku || ''}`;
+    const line = lines.get(key) || { productId: Number(item.productId), sku: item.sku || null, name: item.name, quantity: 0 };
+    line.quantity += Number(item.quantity);
+    lines.set(key, line);
+  }
+  return [...lines.values()];
+};
+
+const decrementStock = async ({ productId, sku, quantity }) => {
+  const filter = sku
+    ? { id: productId, variants: { $elemMatch: { sku, stock: { $gte: quantity } } } }
+    : { id: productId, stock: { $gte: quantity }, 'variants.0': { $exists: false } };
+  const update = sku
+    ? { $inc: { 'variants.$.stock': -quantity, stock: -quantity } }
+    : { $inc: { stock: -quantity } };
+
+  const result = await Product.updateOne(filter, update);
+  return result.modifiedCount === 1;
+};
+
+const incrementStock = async ({ productId, sku, quantity }) => {
+  const filter = sku ? { id: productId, 'variants.sku': sku } : { id: productId };
+  const update = sku
+    ? { $inc: { 'variants.$.stock': quantity, stock: quantity } }
+    : { $inc: { stock: quantity } };
+
+  await Product.updateOne(filter, update);
+};
+
+// Keeps `available` in line with stock after inventory moves, the way
+// applyStockAvailability does on save
+const syncAvailability = async (productIds) => {
+  await Product.updateMany(
+    { id: { $in: productIds }, stock: { $lte: 0 }, available: { $ne: false } },
+    { $set: { available: false, soldOut: true } }
+  );
+  await Product.updateMany(
+    { id: { $in: productIds }, stock: { $gt: 0 }, soldOut: true },
+    { $set: { available: true, soldOut: false } }
+  );
+};
+
+const describeShortage = async (line) => {
+  const product = await Product.findOne({ id: line.productId }).lean();
+  if (!product) {
+    return { productId: line.productId, sku: line.sku, requested: line.quantity, available: 0, message: 'Product not found' };
+  }
+
+  const variant = line.sku ? findVariant(product, { sku: line.sku }) : null;
+  const available = line.sku ? (variant ? variant.stock : 0) : product.stock;
+
+  return {
+    productId: line.productId,
+    sku: line.sku,
+    name: product.name,
+    requested: line.quantity,
+    available,
+    message: available > 0 ? `Only ${available} left in stock` : 'Out of stock'
+  };
+};
+
+// Returns an array of shortages; empty when every line was reserved
+const reserveStock = async (items) => {
+  const lines = groupStockLines(items);
+  const reserved = [];
+  const failed = [];
+
+  for (const line of lines) {
+    if (await decrementStock(line)) reserved.push(line);
+    else failed.push(line);
+  }
+
+  if (failed.length) {
+    await releaseStock(reserved);
+    return Promise.all(failed.map(describeShortage));
+  }
+
+  await syncAvailability(lines.map(l => l.productId));
+  return [];
+};
+
+const releaseStock = async (items) => {
+  const lines = groupStockLines(items);
+  for (const line of lines) {
+    await incrementStock(line);
+  }
+  await syncAvailability(lines.map(l => l.productId));
+};
+
+// Puts a cancelled order's items back on the shelf exactly once
+const restockOrder = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockReserved: true, stockRestored: false },
+    { $set: { stockRestored: true } },
+    { new: true }
+  );
+  if (claimed) await releaseStock(claimed.items);
+  return claimed;
+};
+
+// === ORDER STATUS TRANSITIONS ===
+// Moves an order to `to` if the state machine allows it, recording who did it.
+// Resolves to { order } or { error, httpStatus }.
+const transitionOrder = async (orderId, to, { actor = null, actorType = 'system', note, set = {} } = {}) => {
+  const current = await Order.findById(orderId);
+  if (!current) return { error: 'Order not found', httpStatus: 404 };
+
+  if (!canTransition(current.status, to)) {
+    return { error: `Cannot change order status from ${current.status} to ${to}`, httpStatus: 400 };
+  }
+
+  // Conditional on the status we validated against so concurrent changes can't skip a step
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: current.status },
+    {
+      $set: { status: to, ...set },
+      $push: { statusHistory: { status: to, from: current.status, actor, actorType, note, at: new Date() } }
+    },
+    { new: true }
+  );
+  if (!order) return { error: 'Order was updated by someone else, please retry', httpStatus: 409 };
+
+  if (to === 'Cancelled') {
+    const restocked = await restockOrder(order);
+    if (restocked) {
+      order.stockRestored = true;
+      if (order.coupon && order.coupon.code) await releaseCoupon(order.coupon.code);
+    }
+  }
+
+  return { order };
+};
+
+// Orders created before history was recorded get a single synthetic entry
+const orderTimeline = (order) => (
+  order.statusHistory && order.statusHistory.length
+    ? order.statusHistory
+    : [{ status: order.status, actorType: 'system', at: order.orderDate }]
+);
+
+// === ORDER PRICING ===
+// Totals are always computed on the server from catalog prices
+const SHIPPING_FEE = process.env.SHIPPING_FEE !== undefined ? Number(process.env.SHIPPING_FEE) : 100;
+const TAX_RATE = Number(process.env.TAX_RATE) || 0; // e.g. 0.13 for 13%
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const moneyEquals = (a, b) => Math.abs(a - b) < 0.01;
+
+// `coupon` is the result of evaluateCoupon; invalid coupons are ignored
+const calculateOrderPricing = (items, { coupon = null } = {}) => {
+  const applied = coupon && coupon.valid ? coupon : null;
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const discount = applied ? Math.min(applied.discount, subtotal) : 0;
+  const shipping = items.length && !(applied && applied.freeShipping) ? SHIPPING_FEE : 0;
+  const tax = roundMoney((subtotal - discount) * TAX_RATE);
+  const total = roundMoney(subtotal - discount + shipping + tax);
+
+  return { subtotal, discount, shipping, tax, total };
+};
+
+// === ENHANCED PLACE ORDER ENDPOINT ===
+// Signed-in customers and guests both check out here; guest orders are tied
+// to the shipping email and can be viewed with the returned guestToken.
+app.post('/placeorder', identifyCart, async (req, res) => {
+  try {
+    const { items, shippingInfo, paymentInfo, totalAmount } = req.body;
+    
+    // Validate required fields
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Order must contain at least one item' 
+      });
+    }
+
+    if (!shippingInfo || !paymentInfo) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missing required fields' 
+      });
+    }
+
+    // Validate shipping info
+    const requiredShippingFields = ['firstName', 'lastName', 'email', 'address', 'city', 'state', 'zipCode', 'country', 'phone'];
+    for (const field of requiredShippingFields) {
+      if (!shippingInfo[field]) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Missing shipping field: ${field}` 
+        });
+      }
+    }
+
+    // Validate payment info
+    if (!['creditCard', 'cash'].includes(paymentInfo.method)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid payment method' 
+      });
+    }
+
+    if (paymentInfo.method === 'creditCard' && !stripe) {
+      return res.status(503).json({ 
+        success: false, 
+        message: 'Card payments are currently unavailable' 
+      });
+    }
+
+    // Resolve variants for products that are sold per color/size
+    const products = await Product.find({ id: { $in: items.map(item => Number(item.productId)) } });
+    const productsById = new Map(products.map(p => [p.id, p]));
+    const orderItems = [];
+
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Item quantities must be whole numbers of at least 1'
+        });
+      }
+
+      const product = productsById.get(Number(item.productId));
+      if (!product) {
+        return res.status(400).json({
+          success: false,
+          message: `Product ${item.productId} does not exist`
+        });
+      }
+
+      let variant = null;
+      if (product.variants.length) {
+        variant = findVariant(product, item);
+        if (!variant) {
+          return res.status(400).json({
+            success: false,
+            message: `Please select a valid color and size for ${product.name}`
+          });
+        }
+      }
+
+      // Snapshot catalog data; client-sent name, image and price are ignored
+      orderItems.push({
+        productId: product.id,
+        name: product.name,
+        image: product.image,
+        price: variantPrice(product, variant),
+        quantity,
+        ...(variant && { sku: variant.sku, color: variant.color, size: variant.size })
+      });
+    }
+
+    const userId = currentUserId(req);
+    const guestEmail = userId ? null : String(shippingInfo.email).trim().toLowerCase();
+    const couponLines = orderItems.map(item => ({ ...item, product: productsById.get(item.productId) }));
+    const couponResult = await evaluateCartCoupon(req.cart, couponLines, userId, guestEmail);
+    if (couponResult && !couponResult.valid) {
+      return res.status(400).json({ success: false, message: couponResult.message });
+    }
+    const pricing = calculateOrderPricing(orderItems, { coupon: couponResult });
+
+    if (totalAmount !== undefined && !moneyEquals(Number(totalAmount), pricing.total)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order total has changed. Please review the updated prices before placing the order.',
+        clientTotal: Number(totalAmount),
+        pricing
+      });
+    }
+
+    const shortages = await reserveStock(orderItems);
+    if (shortages.length) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items are not available in the requested quantity',
+        errors: shortages
+      });
+    }
+
+    if (couponResult && !(await redeemCoupon(couponResult.coupon.code))) {
+      await releaseStock(orderItems);
+      return res.status(409).json({ success: false, message: 'This promo code has reached its usage limit' });
+    }
+
+    // Create order
+    const guestToken = userId ? null : crypto.randomBytes(24).toString('hex');
+    const order = new Order({
+      user: userId,
+      ...(guestToken && { guestEmail, guestTokenHash: hashToken(guestToken) }),
+      items: orderItems,
+      stockReserved: true,
+      statusHistory: [{ status: 'Processing', actor: userId, actorType: 'customer', note: 'Order placed' }],
+      ...(couponResult && {
+        coupon: {
+          ...couponResult.coupon,
+          discount: couponResult.discount,
+          freeShipping: couponResult.freeShipping
+        }
+      }),
+      shippingInfo: {
+        firstName: shippingInfo.firstName,
+        lastName: shippingInfo.lastName,
+        email: shippingInfo.email,
+        address: shippingInfo.address,
+        city: shippingInfo.city,
+        state: shippingInfo.state,
+        zipCode: shippingInfo.zipCode,
+        country: shippingInfo.country,
+        phone: shippingInfo.phone
+      },
+      paymentInfo: {
+        method: paymentInfo.method,
+        status: 'Pending'
+      },
+      pricing,
+      totalAmount: pricing.total,
+      shippingFee: pricing.shipping
+    });
+
+    // Card orders are paid through a PaymentIntent confirmed by the client;
+    // the Stripe webhook marks the order Paid or Failed.
+    let paymentIntent = null;
+    try {
+      if (paymentInfo.method === 'creditCard') {
+        paymentIntent = await stripe.paymentIntents.create({
+          amount: toStripeAmount(pricing.total),
+          currency: STRIPE_CURRENCY,
+          receipt_email: shippingInfo.email,
+          metadata: { orderId: order._id.toString(), ...(userId ? { userId: String(userId) } : { guestEmail }) }
+        }, { idempotencyKey: `order-${order._id}` });
+        order.paymentInfo.intentId = paymentIntent.id;
+      }
+
+      await order.save();
+    } catch (err) {
+      await releaseStock(orderItems);
+      if (couponResult) await releaseCoupon(couponResult.coupon.code);
+      if (paymentIntent) await stripe.paymentIntents.cancel(paymentIntent.id).catch(() => {});
+      throw err;
+    }
+
+    // Clear the cart and the coupon it used
+    await Cart.updateOne(
+      { _id: req.cart._id },
+      { $set: { items: [], couponCode: null } }
+    );
+
+    res.status(201).json({ 
+      success: true, 
+      orderId: order._id,
+      pricing,
+      ...(paymentIntent && { clientSecret: paymentIntent.client_secret }),
+      ...(guestToken && { guestToken }),
+      message: 'Order placed successfully'
+    });
+
+  } catch (err) {
+    console.error('Place order error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to place order',
+      error: err.message
+    });
+  }
+});
+
+// Refunds are confirmed asynchronously by the charge.refunded webhook
+const refundCardPayment = (order, amount) => stripe.refunds.create({
+  payment_intent: order.paymentInfo.intentId,
+  amount: toStripeAmount(amount),
+  metadata: { orderId: order._id.toString() }
+});
+
+// === CARD PAYMENTS OF CANCELLED ORDERS ===
+// An unpaid order's PaymentIntent is cancelled before the order is, so the
+// customer can't go on to pay for it. A payment that already went through
+// (or is still going through) can't be stopped; the order is left as is
+// until the webhook marks it Paid. Resolves to {} or { error, httpStatus }.
+const stopCardPayment = async (order) => {
+  const { method, status, intentId } = order.paymentInfo;
+  if (method !== 'creditCard' || !['Pending', 'Failed'].includes(status) || !intentId || !stripe) return {};
+
+  try {
+    const intent = await stripe.paymentIntents.retrieve(intentId);
+    if (intent.status === 'succeeded' || intent.status === 'processing') {
+      return {
+        error: 'The payment for this order is still being confirmed. Please try again in a few minutes.',
+        httpStatus: 409
+      };
+    }
+    if (intent.status !== 'canceled') await stripe.paymentIntents.cancel(intent.id);
+    return {};
+  } catch (err) {
+    console.error('Cancel payment intent error:', err.message);
+    return { error: 'The card payment could not be stopped, please try again', httpStatus: 502 };
+  }
+};
+
+// Refunds what is left of a captured card payment on a cancelled order; the
+// webhook marks it Refunded. The refund is claimed on the order first so a
+// redelivered webhook can't send it twice. One Stripe refuses is recorded
+// as Failed for staff to retry instead of failing the caller.
+// Resolves to { refund, warning }.
+const refundCancelledOrder = async (order) => {
+  const { method, status, refundedAmount } = order.paymentInfo;
+  if (method !== 'creditCard' || status !== 'Paid' || !stripe) return { refund: null };
+
+  const amount = roundMoney(order.totalAmount - (refundedAmount || 0));
+  if (amount <= 0) return { refund: null };
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'Cancelled', 'paymentInfo.refundStatus': { $exists: false } },
+    { $set: { 'paymentInfo.refundStatus': 'Requested' } }
+  );
+  if (!claimed) return { refund: null };
+
+  try {
+    const stripeRefund = await refundCardPayment(order, amount);
+    return { refund: { id: stripeRefund.id, status: stripeRefund.status, amount } };
+  } catch (err) {
+    console.error('Cancelled order refund error:', err.message);
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'paymentInfo.refundStatus': 'Failed', 'paymentInfo.refundError': err.message } }
+    );
+    return {
+      refund: { status: 'failed', amount },
+      warning: 'The order was cancelled but the refund could not be started. Our team will process it shortly.'
+    };
+  }
+};
+
+// === STRIPE WEBHOOK ===
+const findOrderForIntent = (intent) => Order.findOne({
+  $or: [
+    { 'paymentInfo.intentId': intent.id },
+    ...(intent.metadata && mongoose.Types.ObjectId.isValid(intent.metadata.orderId)
+      ? [{ _id: intent.metadata.orderId }]
+      : [])
+  ]
+});
+
+const applyStripeEvent = async (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'payment_intent.succeeded': {
+      const order = await findOrderForIntent(object);
+      if (!order) return;
+      order.paymentInfo.intentId = object.id;
+      if (order.paymentInfo.status !== 'Refunded') {
+        order.paymentInfo.status = 'Paid';
+        order.paymentInfo.paidAt = new Date(event.created * 1000);
+      }
+      await order.save();
+      if (order.status === 'Processing') {
+        await transitionOrder(order._id, 'Paid', { note: `Stripe payment ${object.id} succeeded` });
+      } else if (order.status === 'Cancelled') {
+        // Paid for after it was cancelled; the stock is already back
+        await refundCancelledOrder(order);
+      }
+      break;
+    }
+    case 'payment_intent.payment_failed': {
+      const order = await findOrderForIntent(object);
+      // A later successful retry of the same intent wins over an old failure
+      if (!order || order.paymentInfo.status === 'Paid' || order.paymentInfo.status === 'Refunded') return;
+      // The customer may still retry with another card; orders left unpaid
+      // are cancelled by expireUnpaidCardOrders
+      order.paymentInfo.intentId = object.id;
+      order.paymentInfo.status = 'Failed';
+      await order.save();
+      break;
+    }
+    case 'payment_intent.canceled': {
+      const order = await findOrderForIntent(object);
+      if (!order || order.paymentInfo.status === 'Paid' || order.paymentInfo.status === 'Refunded') return;
+      order.paymentInfo.status = 'Failed';
+      await order.save();
+      // Cancelling restocks the reserved items and releases the coupon once
+      if (canTransition(order.status, 'Cancelled')) {
+        await transitionOrder(order._id, 'Cancelled', { note: `Stripe payment ${object.id} was canceled` });
+      }
+      break;
+    }
+    case 'charge.refunded': {
+      if (!object.payment_intent) return;
+      const order = await Order.findOne({ 'paymentInfo.intentId': object.payment_intent });
+      if (!order) return;
+      order.paymentInfo.refundedAmount = object.amount_refunded / 100;
+      if (object.refunded) {
+        order.paymentInfo.status = 'Refunded';
+        order.paymentInfo.refundedAt = new Date(event.created * 1000);
+      }
+      await order.save();
+      if (object.refunded && canTransition(order.status, 'Refunded')) {
+        await transitionOrder(order._id, 'Refunded', { note: `Stripe charge ${object.id} refunded` });
+      }
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+app.post('/webhooks/stripe', async (req, res) => {
+  if (!stripe || !STRIPE_WEBHOOK_SECRET) {
+    return res.status(503).json({ success: false, message: 'Stripe is not configured' });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.rawBody, req.header('Stripe-Signature'), STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: 'Webhook signature verification failed' });
+  }
+
+  try {
+    await applyStripeEvent(event);
+    res.json({ received: true });
+  } catch (err) {
+    // A non-2xx response makes Stripe retry the delivery
+    console.error('Stripe webhook error:', err);
+    res.status(500).json({ success: false, message: 'Failed to process webhook' });
+  }
+});
+
+// === UNPAID CARD ORDER EXPIRY ===
+// Card orders hold their stock from checkout. Ones still unpaid (never
+// confirmed, or declined and not retried) after CARD_PAYMENT_TIMEOUT_MINUTES
+// are cancelled so the stock and coupon go back.
+const CARD_PAYMENT_TIMEOUT_MINUTES = Number(process.env.CARD_PAYMENT_TIMEOUT_MINUTES) || 60;
+const UNPAID_ORDER_SWEEP_MINUTES = 5;
+
+const expireUnpaidCardOrders = async () => {
+  const cutoff = new Date(Date.now() - CARD_PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+  const orders = await Order.find({
+    'paymentInfo.method': 'creditCard',
+    'paymentInfo.status': { $in: ['Pending', 'Failed'] },
+    status: 'Processing',
+    orderDate: { $lt: cutoff }
+  });
+
+  let expired = 0;
+  for (const order of orders) {
+    try {
+      // Paid after all, or Stripe is unreachable; the webhook or the next
+      // sweep settles it
+      if ((await stopCardPayment(order)).error) continue;
+
+      const result = await transitionOrder(order._id, 'Cancelled', {
+        note: `Card payment not completed within ${CARD_PAYMENT_TIMEOUT_MINUTES} minutes`
+      });
+      if (result.order) {
+        await Order.updateOne({ _id: order._id }, { $set: { 'paymentInfo.status': 'Failed' } });
+        expired++;
+      }
+    } catch (err) {
+      // Leave it for the next sweep
+      console.error(`Expire unpaid order ${order._id} error:`, err);
+    }
+  }
+  return expired;
+};
+
+const scheduleUnpaidOrderExpiry = () => {
+  setInterval(async () => {
+    try {
+      await expireUnpaidCardOrders();
+    } catch (err) {
+      console.error('Expire unpaid orders error:', err);
+    }
+  }, UNPAID_ORDER_SWEEP_MINUTES * 60 * 1000).unref();
+};
+
+// === CUSTOMER ORDER HISTORY ===
+const ORDER_PAGE_LIMIT_MAX = 50;
+
+// Customers may cancel until the order has been packed
+const CUSTOMER_CANCELLABLE_STATUSES = ['Processing', 'Paid'];
+
+app.get('/orders', authenticate, async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    const statuses = parseListParam(req.query.status);
+    if (statuses.some(status => !ORDER_STATUSES.includes(status))) {
+      return res.status(400).json({ success: false, message: 'Invalid status value' });
+    }
+    if (statuses.length) filter.status = { $in: statuses };
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), ORDER_PAGE_LIMIT_MAX);
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      orders: orders.map(order => ({
+        _id: order._id.toString(),
+        status: order.status,
+        orderDate: new Date(order.orderDate).toISOString(),
+        totalAmount: order.totalAmount,
+        pricing: order.pricing,
+        paymentStatus: order.paymentInfo.status,
+        itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+        items: order.items.map(item => ({
+          productId: item.productId,
+          name: item.name,
+          image: item.image,
+          price: item.price,
+          quantity: item.quantity,
+          color: item.color,
+          size: item.size
+        })),
+        canCancel: CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total
+      }
+    });
+  } catch (err) {
+    console.error('Get order history error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+      error: err.message
+    });
+  }
+});
+
+app.post('/orders/:orderId/cancel', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.orderId, user: req.user.id });
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Orders that are ${order.status.toLowerCase()} can no longer be cancelled`
+      });
+    }
+
+    const stopped = await stopCardPayment(order);
+    if (stopped.error) {
+      return res.status(stopped.httpStatus).json({ success: false, message: stopped.error });
+    }
+
+    const result = await transitionOrder(order._id, 'Cancelled', {
+      actor: req.user.id,
+      actorType: 'customer',
+      note: req.body.reason || 'Cancelled by customer'
+    });
+    if (result.error) {
+      return res.status(result.httpStatus).json({ success: false, message: result.error });
+    }
+
+    // Captured card payments are refunded in full
+    const cancelled = result.order;
+    const { refund, warning } = await refundCancelledOrder(cancelled);
+
+    res.json({
+      success: true,
+      message: 'Order cancelled',
+      order: { _id: cancelled._id, status: cancelled.status, timeline: orderTimeline(cancelled) },
+      refund,
+      warning
+    });
+  } catch (err) {
+    console.error('Cancel order error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel order',
+      error: err.message
+    });
+  }
+});
+
+// === GET ORDER DETAILS ===
+// Convert MongoDB ObjectId to string and format dates
+const formatOrderDetail = (order) => ({
+  ...order,
+  _id: order._id.toString(),
+  orderDate: new Date(order.orderDate).toISOString(),
+  createdAt: new Date(order.createdAt).toISOString(),
+  updatedAt: new Date(order.updatedAt).toISOString(),
+  // Ensure items have proper IDs
+  items: order.items.map(item => ({
+    ...item,
+    _id: item._id ? item._id.toString() : undefined
+  })),
+  timeline: orderTimeline(order).map(entry => ({
+    status: entry.status,
+    from: entry.from,
+    actorType: entry.actorType,
+    note: entry.note,
+    at: new Date(entry.at).toISOString()
+  }))
+});
+
+app.get('/orders/:orderId', authenticate, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      user: req.user.id
+    }).lean();
+
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      order: formatOrderDetail(order) 
+    });
+
+  } catch (err) {
+    console.error('Get order error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch order',
+      error: err.message 
+    });
+  }
+});
+
+// Guests look up their order with the token returned by /placeorder
+app.get('/guest/orders/:orderId', async (req, res) => {
+  try {
+    const token = req.header('order-token') || req.query.token;
+    if (!token || !mongoose.Types.ObjectId.isValid(req.params.orderId)) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      guestTokenHash: hashToken(String(token))
+    }).lean();
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    res.json({ success: true, order: formatOrderDetail(order) });
+  } catch (err) {
+    console.error('Get guest order error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order',
+      error: err.message
+    });
+  }
+});
+
+// === ADMIN ORDER ROUTES ===
+
+// Get all orders (Admin only)
+app.get('/admin/orders', authenticate, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const orders = await Order.find()
+      .sort({ createdAt: -1 })
+      .populate('user', 'name email');
+
+    res.json({ 
       success: true, 
       orders: orders.map(order => ({
         ...order._doc,
@@ -1027,129 +4603,1602 @@ app.get('/admin/orders', authenticateAdmin, async (req, res) => {
       }))
     });
   } catch (err) {
-    console.error('Admin get orders error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch orders',
-      error: err.message 
-    });
+    console.error('Admin get orders error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch orders',
+      error: err.message 
+    });
+  }
+});
+
+// Update order status (Admin only)
+app.put('/admin/orders/:id/status', authenticate, requirePermission('orders:write'), async (req, res) => {
+  try {
+    const { status, note, trackingNumber, carrier } = req.body;
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid status value' 
+      });
+    }
+
+    const set = {};
+    if (status === 'Shipped') {
+      if (!trackingNumber || !carrier) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tracking number and carrier are required to ship an order'
+        });
+      }
+      set.shipment = { trackingNumber, carrier, shippedAt: new Date() };
+    }
+
+    // Cancelling settles the card payment the same way a customer cancellation does
+    if (status === 'Cancelled') {
+      const current = await Order.findById(req.params.id);
+      const stopped = current ? await stopCardPayment(current) : {};
+      if (stopped.error) {
+        return res.status(stopped.httpStatus).json({ success: false, message: stopped.error });
+      }
+    }
+
+    const result = await transitionOrder(req.params.id, status, {
+      actor: req.user._id,
+      actorType: 'admin',
+      note,
+      set
+    });
+
+    if (result.error) {
+      return res.status(result.httpStatus).json({ 
+        success: false, 
+        message: result.error 
+      });
+    }
+
+    const { refund = null, warning } = status === 'Cancelled' ? await refundCancelledOrder(result.order) : {};
+
+    const order = await result.order.populate('user', 'name email');
+    const transition = order.statusHistory[order.statusHistory.length - 1];
+    await recordAudit(req, {
+      action: 'order.status',
+      targetType: 'order',
+      targetId: order._id,
+      before: { status: transition.from },
+      after: {
+        status: order.status,
+        ...(set.shipment && { shipment: order.shipment }),
+        ...(refund && { refundRequested: refund })
+      },
+      note
+    });
+
+    res.json({ 
+      success: true, 
+      refund,
+      warning,
+      order: {
+        ...order.toObject(),
+        user: order.user ? {
+          _id: order.user._id,
+          name: order.user.name,
+          email: order.user.email
+        } : null
+      }
+    });
+  } catch (err) {
+    console.error('Admin update order status error:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update order status',
+      error: err.message 
+    });
+  }
+});
+
+// Refund an order (Admin only). Card orders are refunded through Stripe and
+// confirmed by the charge.refunded webhook; cash orders are marked directly.
+app.post('/admin/orders/:id/refund', authenticate, requirePermission('orders:refund'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const before = { paymentInfo: auditSnapshot(order.paymentInfo), status: order.status };
+    const alreadyRefunded = order.paymentInfo.refundedAmount || 0;
+    const refundable = roundMoney(order.totalAmount - alreadyRefunded);
+    const amount = req.body.amount !== undefined ? roundMoney(Number(req.body.amount)) : refundable;
+
+    if (isNaN(amount) || amount <= 0 || amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0 and ${refundable}`
+      });
+    }
+
+    if (order.paymentInfo.method === 'creditCard') {
+      if (!stripe) {
+        return res.status(503).json({ success: false, message: 'Stripe is not configured' });
+      }
+      if (order.paymentInfo.status !== 'Paid' || !order.paymentInfo.intentId) {
+        return res.status(400).json({ success: false, message: 'Only paid card orders can be refunded' });
+      }
+
+      const refund = await refundCardPayment(order, amount);
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: { 'paymentInfo.refundStatus': 'Requested' }, $unset: { 'paymentInfo.refundError': '' } }
+      );
+      // The payment status changes once Stripe confirms through the webhook
+      await recordAudit(req, {
+        action: 'order.refund',
+        targetType: 'order',
+        targetId: order._id,
+        after: { refundRequested: { amount, stripeRefundId: refund.id } },
+        note: req.body.note
+      });
+
+      return res.json({ success: true, refund: { id: refund.id, status: refund.status, amount } });
+    }
+
+    order.paymentInfo.refundedAmount = roundMoney(alreadyRefunded + amount);
+    if (order.paymentInfo.refundedAmount >= order.totalAmount) {
+      order.paymentInfo.status = 'Refunded';
+      order.paymentInfo.refundedAt = new Date();
+    }
+    await order.save();
+
+    let updated = order;
+    if (order.paymentInfo.status === 'Refunded' && canTransition(order.status, 'Refunded')) {
+      const result = await transitionOrder(order._id, 'Refunded', {
+        actor: req.user._id,
+        actorType: 'admin',
+        note: req.body.note || 'Cash refund'
+      });
+      if (result.order) updated = result.order;
+    }
+    await recordAudit(req, {
+      action: 'order.refund',
+      targetType: 'order',
+      targetId: order._id,
+      before,
+      after: { paymentInfo: auditSnapshot(updated.paymentInfo), status: updated.status },
+      note: req.body.note
+    });
+    if (updated !== order) return res.json({ success: true, refund: { amount }, order: updated });
+
+    res.json({ success: true, refund: { amount }, order });
+  } catch (err) {
+    console.error('Admin refund order error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund order',
+      error: err.message
+    });
+  }
+});
+
+// === RETURNS (RMA) ===
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 30;
+const RETURN_REASONS = ['size', 'fit', 'defect', 'not_as_described', 'changed_mind', 'other'];
+
+const RETURN_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected'],
+  Approved: ['Received'],
+  Received: ['Refunded', 'Exchanged'],
+  Rejected: [],
+  Refunded: [],
+  Exchanged: []
+};
+
+const returnRequestSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  items: [
+    {
+      orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      productId: { type: Number, required: true },
+      sku: { type: String },
+      name: { type: String },
+      price: { type: Number, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+      reason: { type: String, required: true, enum: RETURN_REASONS },
+      // Replacement variant for exchanges
+      exchangeSku: { type: String }
+    }
+  ],
+  resolution: { type: String, required: true, enum: ['refund', 'exchange'] },
+  comment: { type: String },
+  status: { type: String, default: 'Requested', enum: Object.keys(RETURN_TRANSITIONS) },
+  statusHistory: [
+    {
+      status: { type: String, required: true },
+      actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      actorType: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+      note: { type: String },
+      at: { type: Date, default: Date.now }
+    }
+  ],
+  restocked: { type: Boolean, default: false },
+  refund: {
+    amount: { type: Number },
+    stripeRefundId: { type: String },
+    refundedAt: { type: Date }
+  }
+}, { timestamps: true });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+// The return window starts when the order was delivered
+const deliveredAt = (order) => {
+  const entry = [...(order.statusHistory || [])].reverse().find(e => e.status === 'Delivered');
+  return entry ? entry.at : order.updatedAt;
+};
+
+// Share of the order discount that applies to returned items
+const refundRatio = (order) => {
+  if (!order.pricing || !order.pricing.subtotal) return 1;
+  return (order.pricing.subtotal - (order.pricing.discount || 0)) / order.pricing.subtotal;
+};
+
+const advanceReturn = (returnRequest, to, { actor, actorType = 'admin', note } = {}) => {
+  if (!(RETURN_TRANSITIONS[returnRequest.status] || []).includes(to)) {
+    return `Cannot change return status from ${returnRequest.status} to ${to}`;
+  }
+  returnRequest.status = to;
+  returnRequest.statusHistory.push({ status: to, actor, actorType, note, at: new Date() });
+  return null;
+};
+
+// Moves the order to Returned once every unit has come back
+const syncOrderReturnState = async (order, actor) => {
+  const fullyReturned = order.items.every(item => (item.returnedQuantity || 0) >= item.quantity);
+  if (fullyReturned && canTransition(order.status, 'Returned')) {
+    await transitionOrder(order._id, 'Returned', { actor, actorType: 'admin', note: 'All items returned' });
+  }
+};
+
+// Open a return against a delivered order
+app.post('/orders/:orderId/returns', authenticate, async (req, res) => {
+  try {
+    const { items, resolution, comment } = req.body;
+
+    const order = await Order.findOne({ _id: req.params.orderId, user: req.user.id });
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (order.status !== 'Delivered') {
+      return res.status(400).json({ success: false, message: 'Only delivered orders can be returned' });
+    }
+
+    const windowEnds = new Date(deliveredAt(order).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (windowEnds < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery`
+      });
+    }
+
+    if (!['refund', 'exchange'].includes(resolution)) {
+      return res.status(400).json({ success: false, message: 'Resolution must be refund or exchange' });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Select at least one item to return' });
+    }
+
+    // Units already claimed by open or completed returns
+    const previous = await ReturnRequest.find({ order: order._id, status: { $ne: 'Rejected' } }).lean();
+    const claimed = new Map();
+    previous.forEach(r => r.items.forEach(item => {
+      const key = item.orderItemId.toString();
+      claimed.set(key, (claimed.get(key) || 0) + item.quantity);
+    }));
+
+    const returnItems = [];
+    for (const item of items) {
+      const orderItem = order.items.id(item.itemId);
+      if (!orderItem) {
+        return res.status(400).json({ success: false, message: `Item ${item.itemId} is not part of this order` });
+      }
+
+      const quantity = Number(item.quantity);
+      const remaining = orderItem.quantity - (claimed.get(orderItem._id.toString()) || 0);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+        return res.status(400).json({
+          success: false,
+          message: `You can return up to ${remaining} of ${orderItem.name}`
+        });
+      }
+      claimed.set(orderItem._id.toString(), (claimed.get(orderItem._id.toString()) || 0) + quantity);
+
+      if (!RETURN_REASONS.includes(item.reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid reason. Allowed values are ${RETURN_REASONS.join(', ')}.`
+        });
+      }
+
+      let exchangeSku;
+      if (resolution === 'exchange') {
+        const product = await Product.findOne({ id: orderItem.productId });
+        if (!product) {
+          return res.status(400).json({ success: false, message: `${orderItem.name} is no longer sold` });
+        }
+
+        // Products without variants are exchanged for the same item
+        if (product.variants.length) {
+          const replacement = findVariant(product, item.exchange || {});
+          if (!replacement) {
+            return res.status(400).json({
+              success: false,
+              message: `Please select a valid replacement color and size for ${orderItem.name}`
+            });
+          }
+          exchangeSku = replacement.sku;
+        }
+      }
+
+      returnItems.push({
+        orderItemId: orderItem._id,
+        productId: orderItem.productId,
+        sku: orderItem.sku,
+        name: orderItem.name,
+        price: orderItem.price,
+        quantity,
+        reason: item.reason,
+        exchangeSku
+      });
+    }
+
+    const returnRequest = new ReturnRequest({
+      order: order._id,
+      user: req.user.id,
+      items: returnItems,
+      resolution,
+      comment,
+      statusHistory: [{ status: 'Requested', actor: req.user.id, actorType: 'customer' }]
+    });
+    await returnRequest.save();
+
+    res.status(201).json({ success: true, return: returnRequest });
+  } catch (err) {
+    console.error('Create return error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create return request',
+      error: err.message
+    });
+  }
+});
+
+app.get('/returns', authenticate, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user.id }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, returns });
+  } catch (err) {
+    console.error('Get returns error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns', error: err.message });
+  }
+});
+
+// === ADMIN RETURN ROUTES ===
+app.get('/admin/returns', authenticate, requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const returns = await ReturnRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('user', 'name email');
+
+    res.json({ success: true, returns });
+  } catch (err) {
+    console.error('Admin get returns error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch returns', error: err.message });
+  }
+});
+
+// Loads the return for an admin action, replying 404 itself when missing
+const loadReturn = async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+  if (!returnRequest) res.status(404).json({ success: false, message: 'Return not found' });
+  return returnRequest;
+};
+
+const returnAuditFields = (returnRequest) => auditSnapshot({
+  status: returnRequest.status,
+  restocked: returnRequest.restocked,
+  refund: returnRequest.refund
+});
+
+const recordReturnAudit = (req, returnRequest, verb, before) => recordAudit(req, {
+  action: `return.${verb}`,
+  targetType: 'return',
+  targetId: returnRequest._id,
+  before,
+  after: returnAuditFields(returnRequest),
+  note: req.body.note
+});
+
+app.post('/admin/returns/:id/approve', authenticate, requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+    const before = returnAuditFields(returnRequest);
+
+    const problem = advanceReturn(returnRequest, 'Approved', { actor: req.user._id, note: req.body.note });
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    await returnRequest.save();
+    await recordReturnAudit(req, returnRequest, 'approve', before);
+    res.json({ success: true, return: returnRequest });
+  } catch (err) {
+    console.error('Admin approve return error:', err);
+    res.status(500).json({ success: false, message: 'Failed to approve return', error: err.message });
+  }
+});
+
+app.post('/admin/returns/:id/reject', authenticate, requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+    const before = returnAuditFields(returnRequest);
+
+    const problem = advanceReturn(returnRequest, 'Rejected', { actor: req.user._id, note: req.body.note });
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    await returnRequest.save();
+    await recordReturnAudit(req, returnRequest, 'reject', before);
+    res.json({ success: true, return: returnRequest });
+  } catch (err) {
+    console.error('Admin reject return error:', err);
+    res.status(500).json({ success: false, message: 'Failed to reject return', error: err.message });
+  }
+});
+
+// Goods are back in the warehouse: restock them (unless `restock: false`,
+// e.g. for defects) and ship replacements for exchanges.
+app.post('/admin/returns/:id/receive', authenticate, requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const loaded = await loadReturn(req, res);
+    if (!loaded) return;
+    const before = returnAuditFields(loaded);
+
+    if (!(RETURN_TRANSITIONS[loaded.status] || []).includes('Received')) {
+      return res.status(400).json({ success: false, message: `Cannot change return status from ${loaded.status} to Received` });
+    }
+
+    // Form posts send strings, so "false" and "0" must not restock either
+    const restock = ![false, 'false', 0, '0'].includes(req.body.restock);
+
+    // Claim the transition before touching stock so two receives can't both restock
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: loaded._id, status: loaded.status },
+      {
+        $set: { status: 'Received', restocked: restock },
+        $push: { statusHistory: { status: 'Received', actor: req.user._id, actorType: 'admin', note: req.body.note, at: new Date() } }
+      },
+      { new: true }
+    );
+    if (!returnRequest) {
+      return res.status(409).json({ success: false, message: 'Return was updated by someone else; reload and try again' });
+    }
+
+    if (restock) await releaseStock(returnRequest.items);
+
+    for (const item of returnRequest.items) {
+      await Order.updateOne(
+        { _id: returnRequest.order, 'items._id': item.orderItemId },
+        { $inc: { 'items.$.returnedQuantity': item.quantity } }
+      );
+    }
+    const order = await Order.findById(returnRequest.order);
+
+    let exchangeShortages = [];
+    if (returnRequest.resolution === 'exchange') {
+      const replacements = returnRequest.items.map(item => ({
+        productId: item.productId,
+        sku: item.exchangeSku,
+        name: item.name,
+        quantity: item.quantity
+      }));
+      exchangeShortages = await reserveStock(replacements);
+      if (!exchangeShortages.length) {
+        advanceReturn(returnRequest, 'Exchanged', { actor: req.user._id, note: 'Replacement reserved' });
+      }
+    }
+
+    await returnRequest.save();
+    await syncOrderReturnState(order, req.user._id);
+    await recordReturnAudit(req, returnRequest, 'receive', before);
+
+    res.json({
+      success: true,
+      return: returnRequest,
+      ...(exchangeShortages.length && {
+        message: 'Replacement items are out of stock; refund the return instead',
+        errors: exchangeShortages
+      })
+    });
+  } catch (err) {
+    console.error('Admin receive return error:', err);
+    res.status(500).json({ success: false, message: 'Failed to receive return', error: err.message });
   }
 });
 
-// Update order status (Admin only)
-app.put('/admin/orders/:id/status', authenticateAdmin, async (req, res) => {
+app.post('/admin/returns/:id/refund', authenticate, requirePermission('orders:refund'), async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['Processing', 'Shipped', 'Delivered', 'Cancelled'];
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+    const before = returnAuditFields(returnRequest);
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid status value' 
-      });
+    if (returnRequest.status !== 'Received') {
+      return res.status(400).json({ success: false, message: 'Returns can only be refunded once received' });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    ).populate('user', 'name email');
+    const order = await Order.findById(returnRequest.order);
+    const itemsTotal = returnRequest.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const refundable = roundMoney(order.totalAmount - (order.paymentInfo.refundedAmount || 0));
+    const amount = req.body.amount !== undefined
+      ? roundMoney(Number(req.body.amount))
+      : Math.min(roundMoney(itemsTotal * refundRatio(order)), refundable);
 
-    if (!order) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Order not found' 
+    if (isNaN(amount) || amount <= 0 || amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0 and ${refundable}`
       });
     }
 
-    res.json({ 
-      success: true, 
-      order: {
-        ...order._doc,
-        user: order.user ? {
-          _id: order.user._id,
-          name: order.user.name,
-          email: order.user.email
-        } : null
+    if (order.paymentInfo.method === 'creditCard') {
+      if (!stripe || order.paymentInfo.status !== 'Paid') {
+        return res.status(400).json({ success: false, message: 'This order has no captured card payment to refund' });
       }
-    });
+      const stripeRefund = await refundCardPayment(order, amount);
+      returnRequest.refund = { amount, stripeRefundId: stripeRefund.id, refundedAt: new Date() };
+    } else {
+      order.paymentInfo.refundedAmount = roundMoney((order.paymentInfo.refundedAmount || 0) + amount);
+      if (order.paymentInfo.refundedAmount >= order.totalAmount) {
+        order.paymentInfo.status = 'Refunded';
+        order.paymentInfo.refundedAt = new Date();
+      }
+      await order.save();
+      returnRequest.refund = { amount, refundedAt: new Date() };
+
+      if (order.paymentInfo.status === 'Refunded' && canTransition(order.status, 'Refunded')) {
+        await transitionOrder(order._id, 'Refunded', { actor: req.user._id, actorType: 'admin', note: 'Return refunded' });
+      }
+    }
+
+    advanceReturn(returnRequest, 'Refunded', { actor: req.user._id, note: req.body.note });
+    await returnRequest.save();
+    await recordReturnAudit(req, returnRequest, 'refund', before);
+
+    res.json({ success: true, return: returnRequest });
   } catch (err) {
-    console.error('Admin update order status error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to update order status',
-      error: err.message 
-    });
+    console.error('Admin refund return error:', err);
+    res.status(500).json({ success: false, message: 'Failed to refund return', error: err.message });
   }
 });
-const authenticateUser = async (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Authorization token required' 
+
+// === ANALYTICS ===
+// Reports over orders placed (orderDate) in [from, to). Revenue counts
+// orders that weren't cancelled: card orders once Stripe has taken the
+// payment, cash on delivery orders by status alone. It uses the charged
+// total; netRevenue also takes off refunds. Product, category and gender
+// figures use line prices before order-level discounts and leave out
+// returned units. Every report can be downloaded with ?format=csv.
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const ANALYTICS_TOP_LIMIT_MAX = 100;
+// Periods are cut in this time zone, e.g. Asia/Kathmandu
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'UTC';
+
+// Refunded card orders were paid first; their refunds show in netRevenue
+const CAPTURED_PAYMENT_STATUSES = ['Paid', 'Refunded'];
+
+const isSaleExpr = {
+  $and: [
+    { $ne: ['$status', 'Cancelled'] },
+    {
+      $or: [
+        { $ne: ['$paymentInfo.method', 'creditCard'] },
+        { $in: ['$paymentInfo.status', CAPTURED_PAYMENT_STATUSES] }
+      ]
+    }
+  ]
+};
+const saleFilter = {
+  status: { $ne: 'Cancelled' },
+  $or: [
+    { 'paymentInfo.method': { $ne: 'creditCard' } },
+    { 'paymentInfo.status': { $in: CAPTURED_PAYMENT_STATUSES } }
+  ]
+};
+const customerKeyExpr = { $ifNull: ['$user', '$guestEmail'] };
+const netUnitsExpr = {
+  $max: [{ $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] }, 0]
+};
+
+const roundRatio = (value) => Math.round(value * 10000) / 10000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Milliseconds the zone's wall clock is ahead of UTC at `date`
+const timeZoneOffsetMs = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Midnight starting `day` (YYYY-MM-DD, offset by `addDays`) in the time zone
+const startOfDayInZone = (day, timeZone, addDays = 0) => {
+  const utcMidnight = Date.parse(`${day}T00:00:00Z`) + addDays * 24 * 60 * 60 * 1000;
+  const guess = new Date(utcMidnight - timeZoneOffsetMs(new Date(utcMidnight), timeZone));
+  // Check the offset again at the guess in case a DST change falls in between
+  return new Date(utcMidnight - timeZoneOffsetMs(guess, timeZone));
+};
+
+// YYYY-MM-DD of `date` in the time zone
+const dayInZone = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+// Date-only bounds are days in ANALYTICS_TIMEZONE, and `to` includes that
+// whole day. Full timestamps are used as given.
+const parseAnalyticsQuery = (query) => {
+  const parseBound = (value, addDays) => (
+    DATE_ONLY.test(value) ? startOfDayInZone(value, ANALYTICS_TIMEZONE, addDays) : new Date(value)
+  );
+
+  const to = query.to ? parseBound(String(query.to), 1) : new Date();
+  const from = query.from
+    ? parseBound(String(query.from), 0)
+    : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to)) return { error: 'from and to must be valid dates' };
+  if (from >= to) return { error: 'from must be before to' };
+
+  const interval = query.interval || 'day';
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    return { error: `interval must be one of ${ANALYTICS_INTERVALS.join(', ')}` };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), ANALYTICS_TOP_LIMIT_MAX);
+  return { from, to, interval, limit };
+};
+
+const salesInRange = ({ from, to }) => ({ orderDate: { $gte: from, $lt: to }, ...saleFilter });
+
+// Sales lines joined with their product, for category and gender reports
+const salesLinesPipeline = (params) => [
+  { $match: salesInRange(params) },
+  { $unwind: '$items' },
+  {
+    $lookup: {
+      from: Product.collection.name,
+      localField: 'items.productId',
+      foreignField: 'id',
+      as: 'product'
+    }
+  },
+  { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } }
+];
+
+// Groups sales lines by `key` into units, revenue and order count
+const salesLinesBy = async (params, key) => {
+  const rows = await Order.aggregate([
+    ...salesLinesPipeline(params),
+    {
+      $group: {
+        _id: key,
+        units: { $sum: netUnitsExpr },
+        revenue: { $sum: { $multiply: ['$items.price', netUnitsExpr] } },
+        orders: { $addToSet: '$_id' }
+      }
+    },
+    { $project: { units: 1, revenue: 1, orders: { $size: '$orders' } } },
+    { $sort: { revenue: -1 } }
+  ]);
+  return rows.map(row => ({ key: row._id, units: row.units, revenue: roundMoney(row.revenue), orders: row.orders }));
+};
+
+const ANALYTICS_REPORTS = {
+  summary: async ({ from, to }) => {
+    const [totals] = await Order.aggregate([
+      { $match: { orderDate: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: null,
+          placedOrders: { $sum: 1 },
+          cancelledOrders: { $sum: { $cond: [{ $eq: ['$status', 'Cancelled'] }, 1, 0] } },
+          orders: { $sum: { $cond: [isSaleExpr, 1, 0] } },
+          revenue: { $sum: { $cond: [isSaleExpr, '$totalAmount', 0] } },
+          refunds: { $sum: { $cond: [isSaleExpr, { $ifNull: ['$paymentInfo.refundedAmount', 0] }, 0] } }
+        }
+      }
+    ]);
+    const sums = totals || { placedOrders: 0, cancelledOrders: 0, orders: 0, revenue: 0, refunds: 0 };
+
+    return [{
+      orders: sums.orders,
+      revenue: roundMoney(sums.revenue),
+      refunds: roundMoney(sums.refunds),
+      netRevenue: roundMoney(sums.revenue - sums.refunds),
+      averageOrderValue: sums.orders ? roundMoney(sums.revenue / sums.orders) : 0,
+      placedOrders: sums.placedOrders,
+      cancelledOrders: sums.cancelledOrders,
+      cancellationRate: sums.placedOrders ? roundRatio(sums.cancelledOrders / sums.placedOrders) : 0
+    }];
+  },
+
+  // Revenue and order count per day, week (starting Monday) or month
+  sales: async (params) => {
+    const period = {
+      $dateTrunc: {
+        date: '$orderDate',
+        unit: params.interval,
+        timezone: ANALYTICS_TIMEZONE,
+        ...(params.interval === 'week' && { startOfWeek: 'monday' })
+      }
+    };
+    const rows = await Order.aggregate([
+      { $match: salesInRange(params) },
+      {
+        $group: {
+          _id: period,
+          orders: { $sum: 1 },
+          revenue: { $sum: '$totalAmount' },
+          refunds: { $sum: { $ifNull: ['$paymentInfo.refundedAmount', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          period: { $dateToString: { date: '$_id', format: '%Y-%m-%d', timezone: ANALYTICS_TIMEZONE } },
+          orders: 1,
+          revenue: 1,
+          refunds: 1
+        }
+      }
+    ]);
+    return rows.map(row => ({
+      period: row.period,
+      orders: row.orders,
+      revenue: roundMoney(row.revenue),
+      netRevenue: roundMoney(row.revenue - row.refunds),
+      averageOrderValue: roundMoney(row.revenue / row.orders)
+    }));
+  },
+
+  // ?sort=units ranks by units sold instead of revenue
+  'top-products': async (params, query) => {
+    const sortField = query.sort === 'units' ? 'units' : 'revenue';
+    const rows = await Order.aggregate([
+      { $match: salesInRange(params) },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.productId',
+          name: { $last: '$items.name' },
+          units: { $sum: netUnitsExpr },
+          revenue: { $sum: { $multiply: ['$items.price', netUnitsExpr] } },
+          orders: { $addToSet: '$_id' }
+        }
+      },
+      { $project: { name: 1, units: 1, revenue: 1, orders: { $size: '$orders' } } },
+      { $sort: { [sortField]: -1, _id: 1 } },
+      { $limit: params.limit }
+    ]);
+    return rows.map(row => ({
+      productId: row._id,
+      name: row.name,
+      units: row.units,
+      revenue: roundMoney(row.revenue),
+      orders: row.orders
+    }));
+  },
+
+  'top-categories': async (params) => {
+    const rows = await salesLinesBy(params, { $ifNull: ['$product.category', 'unknown'] });
+    return rows.slice(0, params.limit).map(({ key, ...row }) => ({ category: key, ...row }));
+  },
+
+  gender: async (params) => {
+    const rows = await salesLinesBy(params, { $ifNull: ['$product.gender', 'unknown'] });
+    return rows.map(({ key, ...row }) => ({ gender: key, ...row }));
+  },
+
+  country: async (params) => {
+    const rows = await Order.aggregate([
+      { $match: salesInRange(params) },
+      { $group: { _id: '$shippingInfo.country', orders: { $sum: 1 }, revenue: { $sum: '$totalAmount' } } },
+      { $sort: { revenue: -1 } }
+    ]);
+    return rows.map(row => ({ country: row._id || 'unknown', orders: row.orders, revenue: roundMoney(row.revenue) }));
+  },
+
+  'payment-methods': async (params) => {
+    const rows = await Order.aggregate([
+      { $match: salesInRange(params) },
+      { $group: { _id: '$paymentInfo.method', orders: { $sum: 1 }, revenue: { $sum: '$totalAmount' } } },
+      { $sort: { orders: -1 } }
+    ]);
+    const totalOrders = rows.reduce((sum, row) => sum + row.orders, 0);
+    return rows.map(row => ({
+      method: row._id,
+      orders: row.orders,
+      revenue: roundMoney(row.revenue),
+      share: totalOrders ? roundRatio(row.orders / totalOrders) : 0
+    }));
+  },
+
+  // A customer (account, or guest email) is returning when they placed an
+  // order before `from`
+  customers: async (params) => {
+    const customers = await Order.aggregate([
+      { $match: salesInRange(params) },
+      { $group: { _id: customerKeyExpr, orders: { $sum: 1 }, revenue: { $sum: '$totalAmount' } } }
+    ]);
+
+    const userIds = customers.filter(c => c._id instanceof mongoose.Types.ObjectId).map(c => c._id);
+    const emails = customers.filter(c => typeof c._id === 'string').map(c => c._id);
+    const earlier = await Order.aggregate([
+      {
+        $match: {
+          $and: [
+            { orderDate: { $lt: params.from } },
+            saleFilter,
+            { $or: [{ user: { $in: userIds } }, { guestEmail: { $in: emails } }] }
+          ]
+        }
+      },
+      { $group: { _id: customerKeyExpr } }
+    ]);
+    const returning = new Set(earlier.map(row => String(row._id)));
+
+    const segments = {
+      new: { segment: 'new', customers: 0, orders: 0, revenue: 0 },
+      returning: { segment: 'returning', customers: 0, orders: 0, revenue: 0 }
+    };
+    customers.forEach(customer => {
+      const segment = segments[returning.has(String(customer._id)) ? 'returning' : 'new'];
+      segment.customers++;
+      segment.orders += customer.orders;
+      segment.revenue += customer.revenue;
+    });
+    return Object.values(segments).map(segment => ({ ...segment, revenue: roundMoney(segment.revenue) }));
+  }
+};
+
+// Quotes every field that needs it. Anything but a number that starts with
+// = + - @ tab or CR is prefixed with ' so spreadsheets don't run it as a formula.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  if (!rows.length) return '';
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+const analyticsRange = ({ from, to }) => ({ from, to, timezone: ANALYTICS_TIMEZONE });
+
+// Every report at once, for the dashboard
+app.get('/admin/analytics', authenticate, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const params = parseAnalyticsQuery(req.query);
+    if (params.error) return res.status(400).json({ success: false, message: params.error });
+
+    const names = Object.keys(ANALYTICS_REPORTS);
+    const results = await Promise.all(names.map(name => ANALYTICS_REPORTS[name](params, req.query)));
+    const reports = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+    res.json({
+      success: true,
+      range: analyticsRange(params),
+      interval: params.interval,
+      ...reports,
+      summary: reports.summary[0]
     });
+  } catch (err) {
+    console.error('Analytics error:', err);
+    res.status(500).json({ success: false, message: 'Failed to build analytics' });
   }
+});
 
+// Query: from, to, interval (sales), limit and sort (top lists), format=csv
+app.get('/admin/analytics/:report', authenticate, requirePermission('analytics:read'), async (req, res) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET); // Using the same secret as elsewhere
-    const user = await User.findById(decoded.user?.id);
-    
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'User not found' 
+    const report = Object.hasOwn(ANALYTICS_REPORTS, req.params.report) && ANALYTICS_REPORTS[req.params.report];
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown report. Available reports are ${Object.keys(ANALYTICS_REPORTS).join(', ')}.`
       });
     }
 
-    req.user = user;
-    next();
+    const params = parseAnalyticsQuery(req.query);
+    if (params.error) return res.status(400).json({ success: false, message: params.error });
+
+    const rows = await report(params, req.query);
+
+    if (req.query.format === 'csv') {
+      const day = (date) => dayInZone(date, ANALYTICS_TIMEZONE);
+      const lastDay = new Date(params.to.getTime() - 1);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(`${req.params.report}-${day(params.from)}-to-${day(lastDay)}.csv`);
+      return res.send(toCsv(rows));
+    }
+
+    res.json({ success: true, report: req.params.report, range: analyticsRange(params), rows });
   } catch (err) {
-    console.error('Authentication error:', err);
-    res.status(401).json({ 
-      success: false, 
-      message: 'Invalid or expired token' 
-    });
+    console.error('Analytics report error:', err);
+    res.status(500).json({ success: false, message: 'Failed to build report' });
   }
-};
+});
 
 // 7. Add Token Verification Endpoint
-app.get('/verify-token', (req, res) => {
-  const token = req.header('auth-token');
+app.get('/verify-token', async (req, res) => {
+  const token = readAccessToken(req);
   if (!token) return res.status(401).json({ error: 'Access denied' });
 
   try {
-    const verified = jwt.verify(token, JWT_SECRET);
-    res.json({ user: verified.user });
+    const auth = await verifyAccessToken(token);
+    if (auth.error) return res.status(401).json({ error: auth.error });
+    res.json({ user: { ...auth.claims.user, roles: auth.user.roles, permissions: permissionsFor(auth.user.roles) } });
   } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
+    console.error('Verify token error:', err);
+    res.status(500).json({ error: 'Failed to verify token' });
   }
 });
+// === IMAGE PIPELINE ===
+// Uploads are stored under the SHA-256 of their bytes, so uploading the same
+// picture again reuses the stored files. The original is stored re-encoded
+// without its metadata (EXIF, GPS), and each image gets resized JPEG and WebP
+// derivatives.
+
+// Formats accepted, as detected from the file content, and their extension
+const IMAGE_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Target widths; smaller images are never enlarged
+const IMAGE_DERIVATIVES = { thumbnail: 200, listing: 600, zoom: 1600 };
+
+// Dimensions of stored files, so the media library doesn't have to download
+// them. lastUploadedAt protects re-uploaded files from cleanup.
+const mediaAssetSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  width: { type: Number },
+  height: { type: Number },
+  format: { type: String },
+  size: { type: Number },
+  lastUploadedAt: { type: Date }
+}, { timestamps: true });
+
+const MediaAsset = mongoose.model('MediaAsset', mediaAssetSchema);
+
+const rememberMediaAsset = (key, fields) =>
+  MediaAsset.updateOne({ key }, { $set: fields }, { upsert: true });
+
+const imageFileNames = (hash, format) => {
+  const names = { original: `${hash}.${IMAGE_FORMATS[format]}`, webp: {} };
+  Object.keys(IMAGE_DERIVATIVES).forEach(size => {
+    names[size] = `${hash}-${size}.jpg`;
+    names.webp[size] = `${hash}-${size}.webp`;
+  });
+  return names;
+};
+
+const imageUrls = (names) => ({
+  ...Object.fromEntries(Object.keys(names).filter(key => key !== 'webp').map(key => [key, mediaStorage.url(names[key])])),
+  webp: Object.fromEntries(Object.entries(names.webp).map(([size, name]) => [size, mediaStorage.url(name)]))
+});
+
+// Re-encodes in the same format, upright and with all metadata dropped
+const stripImageMetadata = (buffer, format) => {
+  const image = sharp(buffer).rotate();
+  if (format === 'jpeg') return image.jpeg({ quality: 95, mozjpeg: true }).toBuffer();
+  if (format === 'png') return image.png().toBuffer();
+  return image.webp({ quality: 95 }).toBuffer();
+};
+
+// Only writes files that aren't there yet, so re-uploads are cheap
+const writeDerivatives = async (buffer, names) => {
+  for (const [size, width] of Object.entries(IMAGE_DERIVATIVES)) {
+    // rotate() applies the EXIF orientation before it is stripped
+    const resized = () => sharp(buffer).rotate().resize({ width, withoutEnlargement: true });
+
+    const outputs = [
+      [names[size], () => resized().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true })],
+      [names.webp[size], () => resized().webp({ quality: 80 })]
+    ];
+    for (const [key, render] of outputs) {
+      if (await mediaStorage.exists(key)) continue;
+      const { data, info } = await render().toBuffer({ resolveWithObject: true });
+      await mediaStorage.put(key, data);
+      await rememberMediaAsset(key, { width: info.width, height: info.height, format: info.format, size: info.size });
+    }
+  }
+};
+
+// Validates and stores an uploaded image. Returns { error, httpStatus } or
+// the stored image's hash, dimensions and file names.
+const processImageUpload = async (file) => {
+  if (file.truncated || file.size > UPLOAD_MAX_BYTES) {
+    return { error: `Image must be at most ${UPLOAD_MAX_BYTES / 1024 / 1024} MB`, httpStatus: 413 };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.data).metadata();
+  } catch {
+    return { error: 'File is not a valid image', httpStatus: 415 };
+  }
+  if (!IMAGE_FORMATS[metadata.format]) {
+    return {
+      error: `Unsupported image type. Allowed types are ${Object.keys(IMAGE_FORMATS).join(', ')}.`,
+      httpStatus: 415
+    };
+  }
+
+  const hash = crypto.createHash('sha256').update(file.data).digest('hex');
+  const names = imageFileNames(hash, metadata.format);
+
+  const duplicate = await mediaStorage.exists(names.original);
+  let size = file.size;
+  if (!duplicate) {
+    const stripped = await stripImageMetadata(file.data, metadata.format);
+    await mediaStorage.put(names.original, stripped);
+    size = stripped.length;
+  }
+  await writeDerivatives(file.data, names);
+
+  // Sideways EXIF orientations swap the displayed dimensions
+  const rotated = metadata.orientation >= 5;
+  const image = {
+    hash,
+    format: metadata.format,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    size,
+    names,
+    duplicate
+  };
+  await rememberMediaAsset(names.original, {
+    width: image.width,
+    height: image.height,
+    format: image.format,
+    ...(!duplicate && { size }),
+    lastUploadedAt: new Date()
+  });
+  return image;
+};
+
 // === UPLOAD ROUTE ===
-app.post('/upload', (req, res) => {
+// Responds with image_url (the original, as before) plus every derivative.
+app.post('/upload', rateLimit('upload_ip'), authenticate, requirePermission('catalog:write'), rateLimit('upload_account', req => req.user.id), async (req, res) => {
   if (!req.files || !req.files.product) {
     return res.status(400).json({ success: 0, message: 'No file uploaded' });
   }
 
-  const file = req.files.product;
-  const uploadDir = path.join(__dirname, 'upload/images');
+  try {
+    const image = await processImageUpload(req.files.product);
+    if (image.error) return res.status(image.httpStatus).json({ success: 0, message: image.error });
+
+    await recordAudit(req, {
+      action: 'media.upload',
+      targetType: 'image',
+      targetId: image.hash,
+      after: { fileName: image.names.original, size: image.size, duplicate: image.duplicate }
+    });
 
-  if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
+    const images = imageUrls(image.names);
+    res.json({
+      success: 1,
+      image_url: images.original,
+      images,
+      hash: image.hash,
+      width: image.width,
+      height: image.height,
+      duplicate: image.duplicate
+    });
+  } catch (err) {
+    console.error('File upload error:', err);
+    res.status(500).json({ success: 0, message: 'Failed to upload file' });
   }
+});
 
-  const fileName = `${Date.now()}_${file.name}`;
-  const uploadPath = path.join(uploadDir, fileName);
+// === MEDIA LIBRARY ===
+// Files are grouped with their derivatives: an upload stored as
+// "<hash>.jpg" owns "<hash>-thumbnail.jpg" and friends. A group is in use
+// when a product (image or gallery) or a past order item points at any of
+// its files; order snapshots count so order history keeps its pictures.
+const MEDIA_GC_MIN_AGE_DAYS = Number(process.env.MEDIA_GC_MIN_AGE_DAYS) || 7;
+const MEDIA_GC_INTERVAL_HOURS = Number(process.env.MEDIA_GC_INTERVAL_HOURS) || 0;
+
+const HASHED_MEDIA_KEY = new RegExp(
+  `^([a-f0-9]{64})(?:-(${Object.keys(IMAGE_DERIVATIVES).join('|')}))?\\.[a-z0-9]+$`
+);
+
+// Legacy uploads have no derivatives and form a group of one
+const mediaGroupOf = (key) => {
+  const match = HASHED_MEDIA_KEY.exec(key);
+  return match ? match[1] : key;
+};
 
-  file.mv(uploadPath, (err) => {
-    if (err) {
-      console.error('File upload error:', err);
-      return res.status(500).json({ success: 0, message: 'Failed to upload file' });
-    }
-    res.json({ success: 1, image_url: `http://localhost:${port}/images/${fileName}` });
+const isDerivativeKey = (key) => {
+  const match = HASHED_MEDIA_KEY.exec(key);
+  return Boolean(match && match[2]);
+};
+
+// The storage key a stored URL would name, whatever base it was saved
+// under. Keys are single file names, so it is the URL's last path segment;
+// matching on it alone means a change of MEDIA_BASE_URL can't make files
+// still in use look unreferenced.
+const mediaKeyOfUrl = (url) => {
+  if (typeof url !== 'string') return null;
+  const name = url.split(/[?#]/)[0].split('/').pop();
+  if (!name) return null;
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+};
+
+const mediaReferenceIndex = (productList, orderUrls) => {
+  const groupOfUrl = (url) => {
+    const key = mediaKeyOfUrl(url);
+    return key ? mediaGroupOf(key) : null;
+  };
+
+  const products = new Map();
+  productList.forEach(product => {
+    const urls = [product.image, ...(product.images || []).map(image => image.url)];
+    new Set(urls.map(groupOfUrl).filter(Boolean)).forEach(group => {
+      if (!products.has(group)) products.set(group, []);
+      products.get(group).push({ id: product.id, name: product.name });
+    });
+  });
+  const orders = new Set(orderUrls.map(groupOfUrl).filter(Boolean));
+
+  return { products, orders, inUse: (group) => products.has(group) || orders.has(group) };
+};
+
+const MEDIA_REFERENCE_FIELDS = { id: 1, name: 1, image: 1, 'images.url': 1 };
+
+// Map of group -> products using it, plus the groups used by orders
+const collectMediaReferences = async () => mediaReferenceIndex(
+  await Product.find({}, MEDIA_REFERENCE_FIELDS).lean(),
+  await Order.distinct('items.image')
+);
+
+// The same, limited to products and orders pointing at the given files
+const findMediaReferences = async (keys) => {
+  if (!keys.length) return mediaReferenceIndex([], []);
+  const names = [...new Set(keys.flatMap(key => [key, encodeURIComponent(key)]))];
+  const endsWithKey = new RegExp(`/(?:${names.map(escapeRegex).join('|')})(?:[?#]|$)`);
+
+  const [productList, orderUrls] = await Promise.all([
+    Product.find({ $or: [{ image: endsWithKey }, { 'images.url': endsWithKey }] }, MEDIA_REFERENCE_FIELDS).lean(),
+    Order.distinct('items.image', { 'items.image': endsWithKey })
+  ]);
+  return mediaReferenceIndex(productList, orderUrls);
+};
+
+// Groups files in the order given
+const groupMediaFiles = (files) => {
+  const groups = new Map();
+  files.forEach(file => {
+    const groupKey = mediaGroupOf(file.key);
+    if (!groups.has(groupKey)) groups.set(groupKey, { group: groupKey, original: null, derivatives: [] });
+    const group = groups.get(groupKey);
+    if (isDerivativeKey(file.key)) group.derivatives.push(file);
+    else group.original = file;
+  });
+
+  return [...groups.values()].map(group => {
+    const groupFiles = [group.original, ...group.derivatives].filter(Boolean);
+    const newest = Math.max(...groupFiles.map(file => new Date(file.lastModified).getTime()));
+    return { ...group, files: groupFiles, lastModified: new Date(newest) };
   });
+};
+
+// Lists every stored file as groups, newest first
+const listMediaGroups = async () =>
+  groupMediaFiles(await mediaStorage.list()).sort((a, b) => b.lastModified - a.lastModified);
+
+const MEDIA_LIST_BATCH = 500;
+
+// One page of groups in key order, starting after the key `after`. Storage is
+// read in batches until `limit` groups pass the `referenced` filter or the
+// listing ends, and references are only looked up for the groups read. A group's files share
+// its hash prefix, so they are next to each other in key order.
+const listMediaGroupPage = async ({ after = '', limit, referenced }) => {
+  const matched = [];
+  let open = [];
+  let cursor = after;
+  let done = false;
+
+  while (matched.length < limit && !done) {
+    const page = await mediaStorage.listPage({ after: cursor, limit: MEDIA_LIST_BATCH });
+    cursor = page.next;
+    done = !page.next;
+
+    // The last group may continue in the next batch
+    const files = [...open, ...page.files];
+    const lastGroup = files.length ? mediaGroupOf(files[files.length - 1].key) : null;
+    open = done ? [] : files.filter(file => mediaGroupOf(file.key) === lastGroup);
+    const groups = groupMediaFiles(done ? files : files.filter(file => mediaGroupOf(file.key) !== lastGroup));
+
+    const references = await findMediaReferences(groups.flatMap(group => group.files.map(file => file.key)));
+    groups.forEach(group => {
+      const inUse = references.inUse(group.group);
+      if (referenced !== undefined && inUse !== referenced) return;
+      matched.push({
+        ...group,
+        products: references.products.get(group.group) || [],
+        usedByOrders: references.orders.has(group.group),
+        referenced: inUse
+      });
+    });
+  }
+
+  const groups = matched.slice(0, limit);
+  if (matched.length <= limit && done) return { groups, nextCursor: null };
+  return { groups, nextCursor: groups[groups.length - 1].files.map(file => file.key).sort().pop() };
+};
+
+const loadMediaAssets = async (keys) =>
+  new Map((await MediaAsset.find({ key: { $in: keys } }).lean()).map(asset => [asset.key, asset]));
+
+// Reads dimensions for files stored before they were recorded. Run by the
+// cleanup and migration commands so the media library never has to download.
+const backfillMediaAssets = async (storage, keys) => {
+  const known = new Set((await MediaAsset.find({ key: { $in: keys } }, { key: 1 }).lean()).map(asset => asset.key));
+  let added = 0;
+  for (const key of keys.filter(key => !known.has(key))) {
+    try {
+      const metadata = await sharp(await storage.get(key)).metadata();
+      await rememberMediaAsset(key, { width: metadata.width, height: metadata.height, format: metadata.format, size: metadata.size });
+      added++;
+    } catch (err) {
+      // Not an image sharp can read; it is listed without dimensions
+    }
+  }
+  return added;
+};
+
+const formatMediaFile = (file, assets) => {
+  const asset = assets.get(file.key) || {};
+  return {
+    key: file.key,
+    url: mediaStorage.url(file.key),
+    size: file.size,
+    width: asset.width || null,
+    height: asset.height || null,
+    lastModified: file.lastModified
+  };
+};
+
+// Deletes groups nobody uses whose newest file and last upload are older
+// than `olderThanDays`. With dryRun it only reports what would go.
+const collectMediaGarbage = async ({ olderThanDays = MEDIA_GC_MIN_AGE_DAYS, dryRun = true } = {}) => {
+  if (!(olderThanDays >= 0)) throw new Error('olderThanDays must be zero or more');
+  const [groups, references] = await Promise.all([listMediaGroups(), collectMediaReferences()]);
+  const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+
+  const unused = groups.filter(group => !references.inUse(group.group) && group.lastModified.getTime() < cutoff);
+  const recentUploads = await MediaAsset.find({
+    key: { $in: unused.flatMap(group => group.files.map(file => file.key)) },
+    lastUploadedAt: { $gte: new Date(cutoff) }
+  }).lean();
+  const recentGroups = new Set(recentUploads.map(asset => mediaGroupOf(asset.key)));
+  const doomed = unused.filter(group => !recentGroups.has(group.group)).flatMap(group => group.files);
+
+  if (!dryRun) {
+    for (const file of doomed) await mediaStorage.delete(file.key);
+    await MediaAsset.deleteMany({ key: { $in: doomed.map(file => file.key) } });
+
+    const doomedKeys = new Set(doomed.map(file => file.key));
+    const kept = groups.flatMap(group => group.files.map(file => file.key)).filter(key => !doomedKeys.has(key));
+    await backfillMediaAssets(mediaStorage, kept);
+  }
+
+  return {
+    dryRun,
+    olderThanDays,
+    scanned: groups.reduce((count, group) => count + group.files.length, 0),
+    deleted: doomed.map(file => file.key),
+    freedBytes: doomed.reduce((sum, file) => sum + (file.size || 0), 0)
+  };
+};
+
+// Runs the cleanup every MEDIA_GC_INTERVAL_HOURS when that is set
+const scheduleMediaGc = () => {
+  if (!MEDIA_GC_INTERVAL_HOURS) return;
+  setInterval(async () => {
+    try {
+      const result = await collectMediaGarbage({ dryRun: false });
+      console.log(`Media cleanup removed ${result.deleted.length} files (${result.freedBytes} bytes)`);
+    } catch (err) {
+      console.error('Media cleanup error:', err);
+    }
+  }, MEDIA_GC_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
+
+// Query: cursor (nextCursor of the previous page), limit, referenced=true|false.
+// Files are listed in key order, grouped with their derivatives.
+app.get('/admin/media', authenticate, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const referenced = req.query.referenced === undefined ? undefined : req.query.referenced === 'true';
+
+    const { groups, nextCursor } = await listMediaGroupPage({ after: req.query.cursor || '', limit, referenced });
+    const assets = await loadMediaAssets(groups.flatMap(group => group.files.map(file => file.key)));
+
+    const files = groups.map(group => {
+      const main = group.original || group.derivatives[0];
+      return {
+        ...formatMediaFile(main, assets),
+        lastModified: group.lastModified,
+        products: group.products,
+        usedByOrders: group.usedByOrders,
+        referenced: group.referenced,
+        derivatives: group.derivatives.filter(file => file !== main).map(file => formatMediaFile(file, assets))
+      };
+    });
+
+    res.json({
+      success: true,
+      files,
+      pagination: { limit, nextCursor, hasNextPage: Boolean(nextCursor) }
+    });
+  } catch (err) {
+    console.error('Get media library error:', err);
+    res.status(500).json({ success: false, message: 'Failed to fetch media library' });
+  }
+});
+
+// Dry run unless the body says { dryRun: false }
+app.post('/admin/media/gc', authenticate, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false;
+    const olderThanDays = req.body.olderThanDays === undefined ? MEDIA_GC_MIN_AGE_DAYS : Number(req.body.olderThanDays);
+    if (isNaN(olderThanDays) || olderThanDays < 0) {
+      return res.status(400).json({ success: false, message: 'olderThanDays must be zero or more' });
+    }
+
+    const result = await collectMediaGarbage({ olderThanDays, dryRun });
+    if (!dryRun && result.deleted.length) {
+      await recordAudit(req, {
+        action: 'media.gc',
+        targetType: 'media',
+        targetId: 'library',
+        before: { files: result.deleted },
+        after: { files: [] },
+        note: `Removed ${result.deleted.length} unreferenced files older than ${olderThanDays} days`
+      });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Media cleanup error:', err);
+    res.status(500).json({ success: false, message: 'Failed to clean up media' });
+  }
 });
 
-// Start server
-app.listen(port, () => console.log(`Server running on port ${port}`));
\ No newline at end of file
+// === MEDIA MIGRATION COMMAND ===
+// Copies every file from one storage driver to another and points product
+// images at the new URLs:
+//   npm run migrate-media -- --from local --to s3 [--dry-run]
+// Drivers are configured by the same env vars as the server; when --to is
+// the configured STORAGE_DRIVER, MEDIA_BASE_URL is used for the new URLs.
+// Source files are never deleted.
+const parseCommandArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)$/.exec(argv[i]);
+    if (!match) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[match[1]] = true;
+    } else {
+      args[match[1]] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const migrateMedia = async ({ from, to, dryRun = false, fromBaseUrl }) => {
+  if (!from || !to || from === to) {
+    throw new Error('Usage: migrate-media --from <driver> --to <driver> [--from-base-url <url>] [--dry-run]');
+  }
+  const source = createStorage(from, { baseUrl: fromBaseUrl });
+  const target = to === mediaStorage.name ? mediaStorage : createStorage(to);
+
+  const files = await source.list();
+  let copied = 0;
+  for (const file of files) {
+    if (await target.exists(file.key)) continue;
+    if (!dryRun) await target.put(file.key, await source.get(file.key));
+    copied++;
+  }
+  console.log(`${dryRun ? 'Would copy' : 'Copied'} ${copied} of ${files.length} files from ${from} to ${to}`);
+  if (!dryRun) {
+    const recorded = await backfillMediaAssets(source, files.map(file => file.key));
+    console.log(`Recorded dimensions for ${recorded} files`);
+  }
+
+  const sourceBases = [source.baseUrl, ...LEGACY_MEDIA_BASE_URLS];
+  const sourceKeys = new Set(files.map(file => file.key));
+  const missing = new Set();
+  const rewrite = (url) => {
+    const key = mediaKeyFromUrl(url, sourceBases);
+    if (!key) return url;
+    if (!sourceKeys.has(key)) {
+      missing.add(key);
+      return url;
+    }
+    return target.url(key);
+  };
+
+  // Plain updates so products that fail today's validation still migrate
+  let productsUpdated = 0;
+  for await (const product of Product.find({}, { image: 1, images: 1 }).lean().cursor()) {
+    const image = rewrite(product.image);
+    const images = (product.images || []).map(entry => ({ ...entry, url: rewrite(entry.url) }));
+    const changed = image !== product.image || images.some((entry, i) => entry.url !== product.images[i].url);
+    if (!changed) continue;
+
+    if (!dryRun) await Product.updateOne({ _id: product._id }, { $set: { image, images } });
+    productsUpdated++;
+  }
+  console.log(`${dryRun ? 'Would update' : 'Updated'} image URLs on ${productsUpdated} products`);
+  if (missing.size) {
+    console.warn(`Left ${missing.size} URLs unchanged because ${from} has no such file: ${[...missing].join(', ')}`);
+  }
+};
+
+// Moves uploads from before content hashing onto the hashed layout:
+//   npm run dedupe-media -- [--dry-run]
+// Each legacy file goes through the upload pipeline, so copies of the same
+// picture collapse into one stored original with derivatives, and product
+// images are pointed at it. Order snapshots keep their URLs, and the legacy
+// files stay until `gc-media --delete` removes them as unreferenced.
+const dedupeMedia = async ({ dryRun = false }) => {
+  const legacyFiles = (await mediaStorage.list()).filter(file => !HASHED_MEDIA_KEY.test(file.key));
+
+  const replacements = new Map();
+  const hashes = new Set();
+  for (const file of legacyFiles) {
+    const data = await mediaStorage.get(file.key);
+    hashes.add(crypto.createHash('sha256').update(data).digest('hex'));
+    if (dryRun) continue;
+
+    const image = await processImageUpload({ data, size: data.length });
+    if (image.error) {
+      console.warn(`Skipped ${file.key}: ${image.error}`);
+      continue;
+    }
+    replacements.set(file.key, image.names.original);
+  }
+  console.log(`${legacyFiles.length} legacy files hold ${hashes.size} distinct images`);
+  if (dryRun) return;
+
+  const bases = [mediaStorage.baseUrl, ...LEGACY_MEDIA_BASE_URLS];
+  const rewrite = (url) => {
+    const key = mediaKeyFromUrl(url, bases);
+    return key && replacements.has(key) ? mediaStorage.url(replacements.get(key)) : url;
+  };
+
+  let productsUpdated = 0;
+  for await (const product of Product.find({}, { image: 1, images: 1 }).lean().cursor()) {
+    const image = rewrite(product.image);
+    const images = (product.images || []).map(entry => ({ ...entry, url: rewrite(entry.url) }));
+    const changed = image !== product.image || images.some((entry, i) => entry.url !== product.images[i].url);
+    if (!changed) continue;
+
+    await Product.updateOne({ _id: product._id }, { $set: { image, images } });
+    productsUpdated++;
+  }
+  console.log(`Updated image URLs on ${productsUpdated} products`);
+};
+
+const COMMANDS = {
+  'migrate-media': (args) => migrateMedia({
+    from: args.from,
+    to: args.to,
+    dryRun: Boolean(args['dry-run']),
+    fromBaseUrl: args['from-base-url']
+  }),
+  'dedupe-media': (args) => dedupeMedia({ dryRun: Boolean(args['dry-run']) }),
+  // npm run gc-media -- [--older-than-days 7] [--delete]
+  // Only lists what would go unless --delete is given
+  'gc-media': async (args) => {
+    const result = await collectMediaGarbage({
+      olderThanDays: args['older-than-days'] === undefined ? MEDIA_GC_MIN_AGE_DAYS : Number(args['older-than-days']),
+      dryRun: !args.delete
+    });
+    result.deleted.forEach(key => console.log(`${result.dryRun ? 'would delete' : 'deleted'} ${key}`));
+    console.log(`${result.deleted.length} of ${result.scanned} files, ${result.freedBytes} bytes`);
+    if (result.dryRun && result.deleted.length) console.log('Nothing was deleted; run again with --delete to remove them');
+  }
+};
+
+// `node index.js <command> [...args]` runs a maintenance command and exits
+// instead of starting the server. Requiring the file (as the tests do)
+// starts neither.
+if (require.main === module) {
+  const command = process.argv[2];
+  if (command) {
+    if (!COMMANDS[command]) {
+      console.error(`Unknown command "${command}". Available: ${Object.keys(COMMANDS).join(', ')}`);
+      process.exit(1);
+    }
+    COMMANDS[command](parseCommandArgs(process.argv.slice(3)))
+      .then(() => mongoose.disconnect())
+      .then(() => process.exit(0))
+      .catch(err => {
+        console.error(err.message);
+        process.exit(1);
+      });
+  } else {
+    // Start server
+    app.listen(port, () => console.log(`Server running on port ${port}`));
+    scheduleMediaGc();
+    scheduleUnpaidOrderExpiry();
+  }
+}
+
+// For the tests in test/
+module.exports = {
+  app,
+  stripe,
+  mailTransport,
+  AccountToken,
+  AuditLog,
+  AuthEvent,
+  Cart,
+  Coupon,
+  Invite,
+  MediaAsset,
+  Order,
+  Product,
+  ReturnRequest,
+  Review,
+  Session,
+  User,
+  Wishlist,
+  signAccessToken,
+  signInviteToken,
+  reserveStock,
+  restockOrder,
+  evaluateCoupon,
+  calculateOrderPricing,
+  parseAnalyticsQuery,
+  csvCell,
+  createStorage,
+  mediaStorage,
+  COMMANDS
+};
\ No newline at end of file
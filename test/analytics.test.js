@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, csvCell, parseAnalyticsQuery, startServer, signIn } = require('./helpers');
+
+test('date-only bounds are whole days in ANALYTICS_TIMEZONE', () => {
+  const { from, to } = parseAnalyticsQuery({ from: '2026-10-01', to: '2026-10-31' });
+
+  // Kathmandu is UTC+05:45
+  assert.equal(from.toISOString(), '2026-09-30T18:15:00.000Z');
+  assert.equal(to.toISOString(), '2026-10-31T18:15:00.000Z');
+});
+
+test('timestamps are used as given and bad ranges are refused', () => {
+  const { from } = parseAnalyticsQuery({ from: '2026-10-01T00:00:00Z', to: '2026-10-02T00:00:00Z' });
+  assert.equal(from.toISOString(), '2026-10-01T00:00:00.000Z');
+
+  assert.deepEqual(parseAnalyticsQuery({ from: 'yesterday' }), { error: 'from and to must be valid dates' });
+  assert.deepEqual(parseAnalyticsQuery({ from: '2026-10-02', to: '2026-10-01' }), { error: 'from must be before to' });
+  assert.match(parseAnalyticsQuery({ interval: 'hour' }).error, /^interval must be one of/);
+});
+
+test('CSV cells that a spreadsheet would run as formulas are defused', () => {
+  assert.equal(csvCell('=HYPERLINK("http://evil")'), '"\'=HYPERLINK(""http://evil"")"');
+  assert.equal(csvCell('+977 98'), '\'+977 98');
+  assert.equal(csvCell('\tcmd'), '\'\tcmd');
+  assert.equal(csvCell('\r=1'), '"\'\r=1"');
+  assert.equal(csvCell({ toString: () => '@SUM(A1)' }), '\'@SUM(A1)');
+  assert.equal(csvCell(-12.5), '-12.5');
+  assert.equal(csvCell(null), '');
+});
+
+const withAnalyst = async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const { request, close } = await startServer();
+  t.after(close);
+  return (path) => request(path, { headers });
+};
+
+test('the summary works out revenue, refunds and rates from the order totals', async (t) => {
+  const aggregate = t.mock.method(Order, 'aggregate', async () => [
+    { placedOrders: 8, cancelledOrders: 2, orders: 5, revenue: 10000.5, refunds: 1500.25 }
+  ]);
+  const get = await withAnalyst(t);
+
+  const { status, body } = await get('/admin/analytics/summary?from=2026-10-01&to=2026-10-31');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.rows, [{
+    orders: 5,
+    revenue: 10000.5,
+    refunds: 1500.25,
+    netRevenue: 8500.25,
+    averageOrderValue: 2000.1,
+    placedOrders: 8,
+    cancelledOrders: 2,
+    cancellationRate: 0.25
+  }]);
+  const match = aggregate.mock.calls[0].arguments[0][0].$match;
+  assert.equal(match.orderDate.$gte.toISOString(), '2026-09-30T18:15:00.000Z');
+});
+
+test('sales only count card orders whose payment was captured', async (t) => {
+  const aggregate = t.mock.method(Order, 'aggregate', async () => []);
+  const get = await withAnalyst(t);
+
+  await get('/admin/analytics/sales');
+
+  const match = aggregate.mock.calls[0].arguments[0][0].$match;
+  assert.deepEqual(match.status, { $ne: 'Cancelled' });
+  assert.deepEqual(match.$or, [
+    { 'paymentInfo.method': { $ne: 'creditCard' } },
+    { 'paymentInfo.status': { $in: ['Paid', 'Refunded'] } }
+  ]);
+});
+
+test('reports download as CSV named after the days they cover', async (t) => {
+  t.mock.method(Order, 'aggregate', async () => [
+    { placedOrders: 1, cancelledOrders: 0, orders: 1, revenue: 100, refunds: 0 }
+  ]);
+  const get = await withAnalyst(t);
+
+  const { status, body, headers } = await get('/admin/analytics/summary?from=2026-10-01&to=2026-10-31&format=csv');
+
+  assert.equal(status, 200);
+  assert.match(headers.get('content-disposition'), /summary-2026-10-01-to-2026-10-31\.csv/);
+  assert.equal(body.split('\r\n')[0], 'orders,revenue,refunds,netRevenue,averageOrderValue,placedOrders,cancelledOrders,cancellationRate');
+});
+
+test('unknown reports, including inherited property names, are a 404', async (t) => {
+  const get = await withAnalyst(t);
+
+  assert.equal((await get('/admin/analytics/constructor')).status, 404);
+  assert.equal((await get('/admin/analytics/__proto__')).status, 404);
+});
+
+test('staff without analytics:read are turned away', async (t) => {
+  const { headers } = signIn(t, ['order-fulfilment']);
+  const { request, close } = await startServer();
+  t.after(close);
+
+  assert.equal((await request('/admin/analytics', { headers })).status, 403);
+});
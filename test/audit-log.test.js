@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog, startServer, signIn, mockProductStore } = require('./helpers');
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('a product update is logged with only the fields it changed', async (t) => {
+  const { user, headers } = signIn(t, ['catalog-manager']);
+  mockProductStore(t, { new_price: 1500, old_price: 1800 });
+  const create = t.mock.method(AuditLog, 'create', async (entry) => entry);
+  const request = await withServer(t);
+
+  const { status } = await request('/product/1', { method: 'PATCH', headers, body: { new_price: 1200, name: 'Linen shirt' } });
+
+  assert.equal(status, 200);
+  const [entry] = create.mock.calls[0].arguments;
+  assert.equal(entry.action, 'product.update');
+  assert.equal(entry.targetId, '1');
+  assert.equal(entry.actorEmail, user.email);
+  assert.deepEqual(entry.changes, { before: { new_price: 1500 }, after: { new_price: 1200 } });
+});
+
+test('the audit log filters by action prefix and rejects malformed filters', async (t) => {
+  const { headers } = signIn(t, ['super-admin']);
+  const filters = [];
+  t.mock.method(AuditLog, 'find', (filter) => {
+    filters.push(filter);
+    const chain = { sort: () => chain, skip: () => chain, limit: () => chain, populate: () => chain, lean: async () => [] };
+    return chain;
+  });
+  t.mock.method(AuditLog, 'countDocuments', async () => 0);
+  const request = await withServer(t);
+
+  const prefix = await request('/admin/audit-log?action=order.&targetType=order', { headers });
+  const badActor = await request('/admin/audit-log?actor=nobody', { headers });
+  const badDate = await request('/admin/audit-log?from=yesterday', { headers });
+
+  assert.equal(prefix.status, 200);
+  assert.deepEqual(prefix.body.pagination, { page: 1, limit: 50, total: 0, totalPages: 0, hasNextPage: false });
+  assert.ok(filters[0].action.test('order.status'));
+  assert.ok(!filters[0].action.test('orderxstatus'));
+  assert.equal(filters[0].targetType, 'order');
+  assert.equal(badActor.status, 400);
+  assert.equal(badDate.body.message, 'from and to must be valid dates');
+  assert.equal(filters.length, 1);
+});
+
+test('roles without audit:read cannot open the audit log', async (t) => {
+  const { headers } = signIn(t, ['support']);
+  const request = await withServer(t);
+
+  const { status } = await request('/admin/audit-log', { headers });
+
+  assert.equal(status, 403);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Cart, Coupon, Product, User, startServer, signIn } = require('./helpers');
+
+const catalog = [
+  { id: 1, name: 'Linen shirt', new_price: 1500, stock: 2, variants: [] },
+  {
+    id: 2,
+    name: 'Denim jacket',
+    new_price: 4000,
+    stock: 4,
+    variants: [
+      { sku: '2-BLUE-M', color: 'Blue', size: 'M', stock: 3 },
+      { sku: '2-RED-S', color: 'Red', size: 'S', stock: 1 }
+    ]
+  }
+].map(fields => new Product(fields));
+
+// Serves `catalog` to every product lookup and keeps carts in memory
+const mockCatalog = (t) => {
+  t.mock.method(Product, 'findOne', async (filter) => catalog.find(product => product.id === filter.id) || null);
+  t.mock.method(Product, 'find', async () => catalog);
+  t.mock.method(Cart.prototype, 'save', async function () {
+    return this;
+  });
+};
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('the legacy quantity route refuses quantities that are not whole numbers', async (t) => {
+  const request = await withServer(t);
+
+  for (const quantity of [1.5, 'abc', null, 0]) {
+    const { status, body } = await request('/updatecartquantity', { method: 'POST', body: { itemId: 1, quantity } });
+    assert.equal(status, 400, `quantity ${quantity}`);
+    assert.equal(body.message, 'Quantity must be at least 1');
+  }
+});
+
+test('a pre-cart account\'s cartData and couponCode move into its first cart, capped at stock', async (t) => {
+  const { user, headers } = signIn(t);
+  mockCatalog(t);
+  const cart = new Cart({ user: user._id, items: [] });
+  t.mock.method(Cart, 'findOneAndUpdate', async () => ({ value: cart, lastErrorObject: { updatedExisting: false } }));
+  const legacyUpdate = t.mock.method(User.collection, 'findOneAndUpdate', async () => ({
+    cartData: { 1: 3, '2:2-RED-S': 1, '2:2-GONE-XL': 2, 9: 1, 5: 0 },
+    couponCode: 'WELCOME'
+  }));
+  t.mock.method(Coupon, 'findOne', async () => null);
+  const request = await withServer(t);
+
+  const { status } = await request('/cart', { headers });
+
+  assert.equal(status, 200);
+  assert.deepEqual(cart.items.map(item => [item.productId, item.sku || null, item.quantity]), [[1, null, 2], [2, '2-RED-S', 1]]);
+  assert.equal(cart.couponCode, 'WELCOME');
+  assert.deepEqual(legacyUpdate.mock.calls[0].arguments[1], { $unset: { cartData: '', couponCode: '' } });
+});
+
+test('carts that already existed are not imported into again', async (t) => {
+  const { user, headers } = signIn(t);
+  mockCatalog(t);
+  t.mock.method(Cart, 'findOneAndUpdate', async () => ({ value: new Cart({ user: user._id }), lastErrorObject: { updatedExisting: true } }));
+  const legacyUpdate = t.mock.method(User.collection, 'findOneAndUpdate', async () => null);
+  const request = await withServer(t);
+
+  await request('/cart', { headers });
+
+  assert.equal(legacyUpdate.mock.callCount(), 0);
+});
+
+test('cart lines are refused beyond the stock on hand', async (t) => {
+  mockCatalog(t);
+  const request = await withServer(t);
+
+  const { status, body } = await request('/cart/items', { method: 'POST', body: { productId: 1, quantity: 3 } });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Only 2 left in stock');
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Product, startServer } = require('./helpers');
+
+const shirt = { _id: 'p1', id: 1, name: 'Linen shirt', gender: 'men', category: 'tops', image: 'shirt.jpg', new_price: 1500, stock: 4 };
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('catalog filters become one query, with in-stock color filters checked per variant', async (t) => {
+  const aggregate = t.mock.method(Product, 'aggregate', async () => [shirt]);
+  const request = await withServer(t);
+
+  const { status, body } = await request('/allproducts?gender=Men,kids&minPrice=1000&maxPrice=2000&color=red&inStock=true');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.map(product => product.id), [1]);
+  const { $match } = aggregate.mock.calls[0].arguments[0][0];
+  assert.deepEqual($match.gender, { $in: ['men', 'kids'] });
+  assert.deepEqual($match.new_price, { $gte: 1000, $lte: 2000 });
+  assert.deepEqual($match.stock, { $gt: 0 });
+  assert.ok($match.$or[1].variants.$elemMatch.color.$in[0].test('Red'));
+});
+
+test('asking for a page returns pagination and facets alongside the products', async (t) => {
+  const aggregate = t.mock.method(Product, 'aggregate', async () => [{
+    products: [shirt],
+    total: [{ count: 41 }],
+    gender: [{ value: 'men', count: 41 }],
+    category: [],
+    subcategory: [],
+    colors: [],
+    sizes: [],
+    available: [{ value: true, count: 40 }, { value: false, count: 1 }],
+    price: [{ min: 500, max: 9000 }]
+  }]);
+  const request = await withServer(t);
+
+  const { body } = await request('/allproducts?page=3&limit=20&sort=price_asc');
+
+  assert.deepEqual(body.pagination, { page: 3, limit: 20, total: 41, totalPages: 3, hasNextPage: false });
+  assert.deepEqual(body.facets.price, { min: 500, max: 9000 });
+  const facet = aggregate.mock.calls[0].arguments[0][2].$facet.products;
+  assert.deepEqual(facet.slice(0, 3), [{ $sort: { new_price: 1, _id: 1 } }, { $skip: 40 }, { $limit: 20 }]);
+});
+
+test('an unknown sort is refused', async (t) => {
+  const request = await withServer(t);
+
+  const { status, body } = await request('/allproducts?sort=cheapest');
+
+  assert.equal(status, 400);
+  assert.match(body.message, /^Invalid sort value/);
+});
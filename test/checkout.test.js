@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Cart, Order, Product, startServer, mockStock } = require('./helpers');
+
+const shippingInfo = {
+  firstName: 'Asha',
+  lastName: 'Rai',
+  email: 'Asha@Example.com',
+  address: 'Lakeside 4',
+  city: 'Pokhara',
+  state: 'Gandaki',
+  zipCode: '33700',
+  country: 'Nepal',
+  phone: '9800000000'
+};
+
+// Product 1 sells at 1500; shipping is the default 100
+const mockCheckout = (t) => {
+  const products = [{ id: 1, name: 'Silk gown', image: 'gown.jpg', new_price: 1500, stock: 5, variants: [] }];
+  const find = mockStock(t, products);
+  t.mock.method(Product, 'find', async () => products);
+  t.mock.method(Cart, 'updateOne', async () => ({}));
+  const saved = [];
+  t.mock.method(Order.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+  return { find, saved };
+};
+
+const placeOrder = async (t, body) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request('/placeorder', { method: 'POST', body: { shippingInfo, paymentInfo: { method: 'cash' }, ...body } });
+};
+
+test('orders are priced from the catalog, whatever the client says an item costs', async (t) => {
+  const { saved } = mockCheckout(t);
+
+  const { status, body } = await placeOrder(t, {
+    items: [{ productId: 1, quantity: 2, price: 1, name: 'Free gown', image: 'http://evil.example/x.jpg' }]
+  });
+
+  assert.equal(status, 201);
+  assert.deepEqual(body.pricing, { subtotal: 3000, discount: 0, shipping: 100, tax: 0, total: 3100 });
+  const [order] = saved;
+  assert.equal(order.totalAmount, 3100);
+  assert.equal(order.items[0].price, 1500);
+  assert.equal(order.items[0].name, 'Silk gown');
+  assert.equal(order.items[0].image, 'gown.jpg');
+});
+
+test('a client total that disagrees with the server\'s is sent back for review, not charged', async (t) => {
+  const { find, saved } = mockCheckout(t);
+
+  const { status, body } = await placeOrder(t, { items: [{ productId: 1, quantity: 2 }], totalAmount: 2 });
+
+  assert.equal(status, 409);
+  assert.equal(body.clientTotal, 2);
+  assert.equal(body.pricing.total, 3100);
+  assert.equal(saved.length, 0);
+  assert.equal(find(1).stock, 5);
+});
+
+test('fractional quantities and unknown products are refused', async (t) => {
+  mockCheckout(t);
+
+  const fractional = await placeOrder(t, { items: [{ productId: 1, quantity: 0.5 }] });
+  assert.equal(fractional.status, 400);
+
+  const unknown = await placeOrder(t, { items: [{ productId: 99, quantity: 1 }] });
+  assert.equal(unknown.body.message, 'Product 99 does not exist');
+});
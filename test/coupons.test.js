@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, evaluateCoupon, calculateOrderPricing } = require('./helpers');
+
+const couponFor = (fields) => ({
+  code: 'TEST',
+  active: true,
+  value: 0,
+  usedCount: 0,
+  minOrderValue: 0,
+  categories: [],
+  genders: [],
+  productIds: [],
+  ...fields
+});
+
+const lines = [
+  { product: { id: 1, category: 'men', gender: 'men' }, price: 1000, quantity: 2 },
+  { product: { id: 2, category: 'kid', gender: 'kids' }, price: 499.99, quantity: 1 }
+];
+
+test('percent coupons discount only the eligible lines', async () => {
+  const result = await evaluateCoupon(couponFor({ type: 'percent', value: 15, categories: ['Men'] }), { lines });
+  assert.equal(result.valid, true);
+  assert.equal(result.discount, 300);
+  assert.equal(result.freeShipping, false);
+});
+
+test('percent coupons are rounded to the cent and capped at 100%', async () => {
+  const rounded = await evaluateCoupon(couponFor({ type: 'percent', value: 12.5, productIds: [2] }), { lines });
+  assert.equal(rounded.discount, 62.5);
+
+  const capped = await evaluateCoupon(couponFor({ type: 'percent', value: 150 }), { lines });
+  assert.equal(capped.discount, 2499.99);
+});
+
+test('fixed coupons never exceed the eligible subtotal', async () => {
+  const result = await evaluateCoupon(couponFor({ type: 'fixed', value: 1000, genders: ['kids'] }), { lines });
+  assert.equal(result.discount, 499.99);
+});
+
+test('coupons are refused outside their window, limits and minimum', async () => {
+  const past = new Date(Date.now() - 60 * 1000);
+  const future = new Date(Date.now() + 60 * 1000);
+  const cases = [
+    [{ active: false }, 'Invalid promo code'],
+    [{ startsAt: future }, 'This promo code is not active yet'],
+    [{ endsAt: past }, 'This promo code has expired'],
+    [{ usageLimit: 5, usedCount: 5 }, 'This promo code has reached its usage limit'],
+    [{ minOrderValue: 3000 }, 'This promo code requires a minimum order of 3000'],
+    [{ productIds: [99] }, 'This promo code does not apply to the items in your cart']
+  ];
+
+  for (const [fields, message] of cases) {
+    const result = await evaluateCoupon(couponFor({ type: 'percent', value: 10, ...fields }), { lines });
+    assert.deepEqual(result, { valid: false, message });
+  }
+});
+
+test('per-customer limits count the customer\'s orders that were not cancelled', async (t) => {
+  const countDocuments = t.mock.method(Order, 'countDocuments', async () => 2);
+
+  const result = await evaluateCoupon(
+    couponFor({ type: 'percent', value: 10, perUserLimit: 2 }),
+    { lines, email: 'guest@example.com' }
+  );
+
+  assert.deepEqual(result, { valid: false, message: 'You have already used this promo code' });
+  assert.deepEqual(countDocuments.mock.calls[0].arguments[0], {
+    guestEmail: 'guest@example.com',
+    'coupon.code': 'TEST',
+    status: { $ne: 'Cancelled' }
+  });
+});
+
+test('order pricing applies the discount before shipping', () => {
+  const items = [{ price: 1000, quantity: 2 }, { price: 499.99, quantity: 1 }];
+
+  assert.deepEqual(calculateOrderPricing(items), {
+    subtotal: 2499.99, discount: 0, shipping: 100, tax: 0, total: 2599.99
+  });
+  assert.deepEqual(calculateOrderPricing(items, { coupon: { valid: true, discount: 5000, freeShipping: false } }), {
+    subtotal: 2499.99, discount: 2499.99, shipping: 100, tax: 0, total: 100
+  });
+  assert.deepEqual(calculateOrderPricing(items, { coupon: { valid: true, discount: 0, freeShipping: true } }), {
+    subtotal: 2499.99, discount: 0, shipping: 0, tax: 0, total: 2499.99
+  });
+  assert.equal(calculateOrderPricing(items, { coupon: { valid: false, message: 'Expired' } }).discount, 0);
+});
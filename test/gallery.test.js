@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog, startServer, signIn, mockProductStore } = require('./helpers');
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+const FRONT = 'http://localhost:5000/images/front.jpg';
+const BACK = 'http://localhost:5000/images/back.jpg';
+const SIDE = 'http://localhost:5000/images/side.jpg';
+
+// A product with a three-image gallery, the front one primary
+const mockGallery = (t) => {
+  const store = mockProductStore(t, {
+    colors: ['White', 'Navy'],
+    image: FRONT,
+    images: [{ url: FRONT, isPrimary: true }, { url: BACK }, { url: SIDE }]
+  });
+  t.mock.method(AuditLog, 'create', async (entry) => entry);
+  return store;
+};
+
+test('attaching an image to a pre-gallery product keeps the old image and can make the new one primary', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const { product } = mockProductStore(t, { colors: ['White'] });
+  const audit = t.mock.method(AuditLog, 'create', async (entry) => entry);
+  const request = await withServer(t);
+
+  const refused = await request('/admin/products/1/images', { method: 'POST', headers, body: { url: BACK, color: 'Red' } });
+  const { status, body } = await request('/admin/products/1/images', {
+    method: 'POST',
+    headers,
+    body: { url: BACK, color: 'white', isPrimary: true, position: 0 }
+  });
+
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.message, 'Color must be one of White');
+  assert.equal(status, 200);
+  assert.equal(body.image, BACK);
+  assert.deepEqual(
+    body.images.map(({ url, color, isPrimary }) => ({ url, color, isPrimary })),
+    [
+      { url: BACK, color: 'White', isPrimary: true },
+      { url: 'http://localhost:5000/images/shirt.jpg', color: null, isPrimary: false }
+    ]
+  );
+  assert.equal(product.image, BACK);
+  assert.equal(audit.mock.calls[0].arguments[0].action, 'product.images');
+});
+
+test('reordering needs every gallery image exactly once and keeps the primary image', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const { product } = mockGallery(t);
+  const [front, back, side] = product.images.map(image => String(image._id));
+  const request = await withServer(t);
+
+  const missing = await request('/admin/products/1/images/order', { method: 'PUT', headers, body: { imageIds: [side, back] } });
+  const repeated = await request('/admin/products/1/images/order', { method: 'PUT', headers, body: { imageIds: [side, side, back] } });
+  const { status, body } = await request('/admin/products/1/images/order', { method: 'PUT', headers, body: { imageIds: [side, front, back] } });
+
+  assert.equal(missing.status, 400);
+  assert.equal(repeated.status, 400);
+  assert.equal(status, 200);
+  assert.deepEqual(body.images.map(image => image.url), [SIDE, FRONT, BACK]);
+  assert.equal(body.images[1].isPrimary, true);
+  assert.equal(body.image, FRONT);
+});
+
+test('choosing another primary image or detaching the primary one moves the product image', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const { product } = mockGallery(t);
+  const [front, back] = product.images.map(image => String(image._id));
+  const request = await withServer(t);
+
+  const chosen = await request(`/admin/products/1/images/${back}`, { method: 'PATCH', headers, body: { isPrimary: true } });
+  const detached = await request(`/admin/products/1/images/${back}`, { method: 'DELETE', headers });
+  const unknown = await request('/admin/products/1/images/not-an-id', { method: 'DELETE', headers });
+
+  assert.equal(chosen.body.image, BACK);
+  assert.deepEqual(detached.body.images.map(image => image.url), [FRONT, SIDE]);
+  assert.equal(detached.body.image, FRONT);
+  assert.equal(detached.body.images[0]._id, front);
+  assert.equal(unknown.status, 404);
+});
+
+test('the last gallery image cannot be detached', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const { product } = mockProductStore(t, { images: [{ url: FRONT, isPrimary: true }] });
+  const request = await withServer(t);
+
+  const { status, body } = await request(`/admin/products/1/images/${product.images[0]._id}`, { method: 'DELETE', headers });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'A product needs at least one image');
+});
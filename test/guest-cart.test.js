@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Cart, Order, Product, Session, User, startServer, mockStock } = require('./helpers');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const shirt = () => new Product({ id: 1, name: 'Linen shirt', gender: 'men', new_price: 1500, stock: 4, variants: [] });
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('guests get a cart token whose hash is all the server keeps', async (t) => {
+  const product = shirt();
+  t.mock.method(Product, 'findOne', async () => product);
+  t.mock.method(Product, 'find', async () => [product]);
+  const saved = [];
+  t.mock.method(Cart.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+  const findOne = t.mock.method(Cart, 'findOne', async (filter) => saved.find(cart => cart.tokenHash === filter.tokenHash) || null);
+  const request = await withServer(t);
+
+  const first = await request('/cart/items', { method: 'POST', body: { productId: 1 } });
+  const token = first.headers.get('cart-token');
+  assert.equal(first.status, 201);
+  assert.equal(saved[0].tokenHash, sha256(token));
+  assert.equal(saved[0].token, undefined);
+
+  const second = await request('/cart', { headers: { 'cart-token': token } });
+  assert.equal(findOne.mock.calls[0].arguments[0].tokenHash, sha256(token));
+  assert.equal(second.body.cart.lines[0].quantity, 1);
+});
+
+test('logging in merges the guest cart into the account cart and drops it', async (t) => {
+  const product = shirt();
+  t.mock.method(Product, 'findOne', async () => product);
+  t.mock.method(Cart.prototype, 'save', async function () {
+    return this;
+  });
+  const user = new User({ email: 'merge@example.com', password: await bcrypt.hash('Correct-horse-1', 4), roles: ['user'] });
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(Session, 'create', async (fields) => new Session(fields));
+
+  const guestCart = new Cart({ tokenHash: sha256('guest-token'), items: [{ productId: 1, quantity: 3, priceAtAdd: 1500 }], couponCode: 'WELCOME' });
+  const deleteOne = t.mock.method(guestCart, 'deleteOne', async () => ({}));
+  t.mock.method(Cart, 'findOne', async (filter) => (filter.tokenHash === sha256('guest-token') ? guestCart : null));
+  const accountCart = new Cart({ user: user._id, items: [{ productId: 1, quantity: 2, priceAtAdd: 1500 }] });
+  t.mock.method(Cart, 'findOneAndUpdate', async () => ({ value: accountCart, lastErrorObject: { updatedExisting: true } }));
+  const request = await withServer(t);
+
+  const { status } = await request('/login', {
+    method: 'POST',
+    headers: { 'cart-token': 'guest-token' },
+    body: { email: 'merge@example.com', password: 'Correct-horse-1' }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(accountCart.items.length, 1);
+  assert.equal(accountCart.items[0].quantity, 4);
+  assert.equal(accountCart.couponCode, 'WELCOME');
+  assert.equal(deleteOne.mock.callCount(), 1);
+});
+
+test('guest checkout ties the order to the email and hands back a token for it', async (t) => {
+  const products = [{ id: 1, name: 'Linen shirt', new_price: 1500, stock: 4, variants: [] }];
+  mockStock(t, products);
+  t.mock.method(Product, 'find', async () => products);
+  t.mock.method(Cart, 'updateOne', async () => ({}));
+  const saved = [];
+  t.mock.method(Order.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+  const request = await withServer(t);
+
+  const { status, body } = await request('/placeorder', {
+    method: 'POST',
+    body: {
+      items: [{ productId: 1, quantity: 1 }],
+      shippingInfo: {
+        firstName: 'Asha',
+        lastName: 'Rai',
+        email: ' Asha@Example.com',
+        address: 'Lakeside 4',
+        city: 'Pokhara',
+        state: 'Gandaki',
+        zipCode: '33700',
+        country: 'Nepal',
+        phone: '9800000000'
+      },
+      paymentInfo: { method: 'cash' }
+    }
+  });
+
+  assert.equal(status, 201);
+  const [order] = saved;
+  assert.equal(order.user, null);
+  assert.equal(order.guestEmail, 'asha@example.com');
+  assert.equal(order.guestTokenHash, sha256(body.guestToken));
+});
@@ -0,0 +1,172 @@
+// Loads the app without MongoDB. Tests replace the model methods a route
+// uses with t.mock; any query left unmocked fails at once instead of
+// waiting for a connection.
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_dressmart';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_dressmart';
+// A zone with a non-whole-hour offset, so date handling can't pass by luck
+process.env.ANALYTICS_TIMEZONE = 'Asia/Kathmandu';
+
+const mongoose = require('mongoose');
+mongoose.set('bufferCommands', false);
+
+const server = require('../index');
+
+const { Order, Product, Session, User, signAccessToken } = server;
+
+// Starts the app on a free port; returns a fetch wrapper that resolves to
+// { status, body, headers } and a close function. JSON bodies are parsed,
+// anything else comes back as text. A FormData body goes out as multipart.
+const startServer = async () => {
+  const listener = server.app.listen(0);
+  await new Promise(resolve => listener.once('listening', resolve));
+  const base = `http://127.0.0.1:${listener.address().port}`;
+
+  const request = async (path, { method = 'GET', body, headers = {} } = {}) => {
+    const form = body instanceof FormData;
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { ...(body !== undefined && !form && { 'Content-Type': 'application/json' }), ...headers },
+      body: body === undefined || typeof body === 'string' || form ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const json = /json/.test(response.headers.get('content-type'));
+    return { status: response.status, body: text && json ? JSON.parse(text) : text || null, headers: response.headers };
+  };
+
+  return { request, close: () => new Promise(resolve => listener.close(resolve)) };
+};
+
+// Access token for a user with the given roles, with the session and user
+// lookups of `authenticate` mocked
+const signIn = (t, roles = ['user']) => {
+  const user = new User({ name: 'Test User', email: `${roles[0]}@example.com`, password: 'unused', roles });
+  const session = { _id: new mongoose.Types.ObjectId(), user: user._id };
+  t.mock.method(Session, 'findOne', async () => session);
+  t.mock.method(User, 'findById', async () => user);
+  return { user, headers: { 'auth-token': signAccessToken(user, session) } };
+};
+
+// In-memory stand-in for the conditional stock updates in the INVENTORY
+// section. `products` are plain { id, stock, available, soldOut, variants:
+// [{ sku, stock }] } objects whose stock and flags the mocks change in place.
+const mockStock = (t, products) => {
+  const byId = (id) => products.find(product => product.id === id);
+
+  t.mock.method(Product, 'updateOne', async (filter, update) => {
+    const product = byId(filter.id);
+    if (!product) return { modifiedCount: 0 };
+
+    const elemMatch = filter.variants && filter.variants.$elemMatch;
+    const sku = elemMatch ? elemMatch.sku : filter['variants.sku'];
+    const variant = sku ? product.variants.find(v => v.sku === sku) : null;
+    if (sku && !variant) return { modifiedCount: 0 };
+    if (filter['variants.0'] && product.variants.length) return { modifiedCount: 0 };
+
+    const needed = elemMatch ? elemMatch.stock.$gte : filter.stock && filter.stock.$gte;
+    if (needed !== undefined && (variant ? variant.stock : product.stock) < needed) return { modifiedCount: 0 };
+
+    if (variant) variant.stock += update.$inc['variants.$.stock'];
+    product.stock += update.$inc.stock;
+    return { modifiedCount: 1 };
+  });
+  // syncAvailability's filters: id $in, stock $lte/$gt and flag equality or $ne
+  t.mock.method(Product, 'updateMany', async (filter, update) => {
+    const matches = (product) => Object.entries(filter).every(([key, condition]) => {
+      const value = product[key];
+      if (condition === null || typeof condition !== 'object') return value === condition;
+      if ('$in' in condition) return condition.$in.includes(value);
+      if ('$lte' in condition) return value <= condition.$lte;
+      if ('$gt' in condition) return value > condition.$gt;
+      return value !== condition.$ne;
+    });
+    const matched = products.filter(matches);
+    matched.forEach(product => Object.assign(product, update.$set));
+    return { modifiedCount: matched.length };
+  });
+  t.mock.method(Product, 'findOne', (filter) => ({ lean: async () => byId(filter.id) || null }));
+
+  return byId;
+};
+
+// A card order for two units of product 1, with stock reserved at checkout
+const newOrder = (fields = {}) => new Order({
+  user: new mongoose.Types.ObjectId(),
+  items: [{ productId: 1, name: 'Linen shirt', image: 'http://localhost:5000/images/shirt.jpg', price: 1500, quantity: 2 }],
+  shippingInfo: {
+    firstName: 'Asha',
+    lastName: 'Rai',
+    email: 'asha@example.com',
+    address: 'Lakeside 4',
+    city: 'Pokhara',
+    state: 'Gandaki',
+    zipCode: '33700',
+    country: 'Nepal',
+    phone: '9800000000'
+  },
+  paymentInfo: { method: 'creditCard', status: 'Pending', intentId: 'pi_test' },
+  totalAmount: 3100,
+  stockReserved: true,
+  ...fields
+});
+
+// Serves `order` to every Order lookup and applies the conditional updates
+// of transitionOrder, restockOrder and refundCancelledOrder to it, honouring
+// their filters (equality and $exists).
+// updateOne supports $set and positional $inc on items ("items.$.field").
+const mockOrderStore = (t, order) => {
+  t.mock.method(Order, 'findOne', async () => order);
+  t.mock.method(Order, 'findById', async () => order);
+  t.mock.method(Order, 'updateOne', async (filter, update) => {
+    Object.entries(update.$set || {}).forEach(([key, value]) => order.set(key, value));
+    Object.entries(update.$inc || {}).forEach(([key, value]) => {
+      const item = order.items.id(filter['items._id']);
+      const field = key.replace('items.$.', '');
+      item.set(field, (item.get(field) || 0) + value);
+    });
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Order.prototype, 'save', async function () {
+    return this;
+  });
+  t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+    const matches = Object.entries(filter).every(([key, value]) => {
+      if (key === '_id') return true;
+      if (value && value.$exists !== undefined) return (order.get(key) !== undefined) === value.$exists;
+      return order.get(key) === value;
+    });
+    if (!matches) return null;
+    Object.entries(update.$set || {}).forEach(([key, value]) => order.set(key, value));
+    if (update.$push) order.statusHistory.push(update.$push.statusHistory);
+    return order;
+  });
+  return order;
+};
+
+// A stored product, served by Product.findOne. Saving it runs the schema's
+// validation and hooks for real and records the update sent to MongoDB.
+const mockProductStore = (t, fields = {}) => {
+  const product = Product.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    id: 1,
+    name: 'Linen shirt',
+    gender: 'men',
+    category: 'tops',
+    subcategory: 'shirts',
+    image: 'http://localhost:5000/images/shirt.jpg',
+    new_price: 1500,
+    stock: 5,
+    colors: ['White'],
+    sizes: ['M'],
+    ...fields
+  });
+  t.mock.method(Product, 'findOne', async () => product);
+  const updates = [];
+  t.mock.method(Product.collection, 'updateOne', async (filter, update) => {
+    updates.push(update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+  return { product, updates };
+};
+
+module.exports = { ...server, startServer, signIn, mockStock, newOrder, mockOrderStore, mockProductStore };
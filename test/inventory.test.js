@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Cart, Coupon, Order, Product, reserveStock, restockOrder, startServer, mockStock } = require('./helpers');
+
+const catalog = () => [
+  { id: 1, name: 'Linen shirt', new_price: 1500, stock: 5, variants: [] },
+  {
+    id: 2,
+    name: 'Denim jacket',
+    new_price: 4000,
+    stock: 3,
+    variants: [
+      { sku: 'DJ-BLUE-M', color: 'Blue', size: 'M', stock: 2 },
+      { sku: 'DJ-BLUE-L', color: 'Blue', size: 'L', stock: 1 }
+    ]
+  }
+];
+
+test('reserveStock takes every line, summing repeated lines', async (t) => {
+  const products = catalog();
+  const find = mockStock(t, products);
+
+  const shortages = await reserveStock([
+    { productId: 1, quantity: 2 },
+    { productId: 1, quantity: 1 },
+    { productId: 2, sku: 'DJ-BLUE-M', quantity: 2 }
+  ]);
+
+  assert.deepEqual(shortages, []);
+  assert.equal(find(1).stock, 2);
+  assert.equal(find(2).variants[0].stock, 0);
+  assert.equal(find(2).stock, 1);
+});
+
+test('reserveStock gives back the lines it took when a later line is short', async (t) => {
+  const products = catalog();
+  const find = mockStock(t, products);
+
+  const shortages = await reserveStock([
+    { productId: 1, quantity: 3 },
+    { productId: 2, sku: 'DJ-BLUE-L', quantity: 2 }
+  ]);
+
+  assert.equal(shortages.length, 1);
+  assert.equal(shortages[0].sku, 'DJ-BLUE-L');
+  assert.equal(shortages[0].available, 1);
+  assert.equal(shortages[0].message, 'Only 1 left in stock');
+  assert.equal(find(1).stock, 5);
+  assert.equal(find(2).variants[1].stock, 1);
+});
+
+test('restockOrder puts a cancelled order back on the shelf only once', async (t) => {
+  const products = catalog();
+  const find = mockStock(t, products);
+  const order = { _id: new mongoose.Types.ObjectId(), items: [{ productId: 1, quantity: 2 }] };
+  let restored = false;
+  t.mock.method(Order, 'findOneAndUpdate', async (filter) => {
+    if (filter.stockRestored !== false || restored) return null;
+    restored = true;
+    return order;
+  });
+
+  assert.ok(await restockOrder(order));
+  assert.equal(await restockOrder(order), null);
+  assert.equal(find(1).stock, 7);
+});
+
+test('stock running out unlists a product and a restock lists it again, unless staff disabled it', async (t) => {
+  const products = [
+    { id: 1, stock: 2, variants: [] },
+    { id: 3, stock: 0, available: false, soldOut: false, variants: [] }
+  ];
+  const find = mockStock(t, products);
+  t.mock.method(Order, 'findOneAndUpdate', async (filter) => ({ _id: filter._id, items: [{ productId: 1, quantity: 2 }, { productId: 3, quantity: 1 }] }));
+
+  assert.deepEqual(await reserveStock([{ productId: 1, quantity: 2 }]), []);
+  assert.equal(find(1).available, false);
+  assert.equal(find(1).soldOut, true);
+
+  await restockOrder({ _id: new mongoose.Types.ObjectId() });
+  assert.equal(find(1).available, true);
+  assert.equal(find(1).soldOut, false);
+  assert.equal(find(3).stock, 1);
+  assert.equal(find(3).available, false);
+});
+
+test('a failed checkout returns the reserved stock and the coupon', async (t) => {
+  const products = catalog();
+  const find = mockStock(t, products);
+  t.mock.method(Product, 'find', async () => products);
+  t.mock.method(Cart, 'findOne', async () => new Cart({ couponCode: 'SAVE10', items: [] }));
+  const coupon = {
+    code: 'SAVE10',
+    type: 'percent',
+    value: 10,
+    active: true,
+    usedCount: 0,
+    minOrderValue: 0,
+    categories: [],
+    genders: [],
+    productIds: []
+  };
+  t.mock.method(Coupon, 'findOne', async () => coupon);
+  t.mock.method(Coupon, 'updateOne', async (filter, update) => {
+    coupon.usedCount += update.$inc.usedCount;
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Order.prototype, 'save', async () => {
+    throw new Error('write failed');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const { status } = await request('/placeorder', {
+    method: 'POST',
+    headers: { 'cart-token': 'guest-cart' },
+    body: {
+      items: [{ productId: 1, quantity: 2 }, { productId: 2, sku: 'DJ-BLUE-M', quantity: 1 }],
+      shippingInfo: {
+        firstName: 'Asha',
+        lastName: 'Rai',
+        email: 'asha@example.com',
+        address: 'Lakeside 4',
+        city: 'Pokhara',
+        state: 'Gandaki',
+        zipCode: '33700',
+        country: 'Nepal',
+        phone: '9800000000'
+      },
+      paymentInfo: { method: 'cash' }
+    }
+  });
+
+  assert.equal(status, 500);
+  assert.equal(find(1).stock, 5);
+  assert.equal(find(2).variants[0].stock, 2);
+  assert.equal(find(2).stock, 3);
+  assert.equal(coupon.usedCount, 0);
+  assert.equal(Coupon.updateOne.mock.callCount(), 2);
+});
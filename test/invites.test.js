@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const { Invite, Session, User, signInviteToken, startServer } = require('./helpers');
+
+const newInvite = () => new Invite({
+  email: 'asha@example.com',
+  roles: ['support'],
+  invitedBy: new mongoose.Types.ObjectId(),
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+});
+
+// One account, signed up as "Asha@Example.com"; lookups match the way
+// MongoDB would, regular expressions included
+const mockInviteStore = async (t, invite) => {
+  const account = new User({
+    name: 'Asha',
+    email: 'Asha@Example.com',
+    password: await bcrypt.hash('Current-pass-1', 4),
+    roles: ['user']
+  });
+  const matches = (filter) => (filter.email instanceof RegExp ? filter.email.test(account.email) : filter.email === account.email);
+
+  t.mock.method(Invite, 'findById', async () => invite);
+  t.mock.method(Invite, 'findOneAndUpdate', async (filter, update) => {
+    if (invite.acceptedAt) return null;
+    invite.set(update.$set);
+    return invite;
+  });
+  t.mock.method(Invite.prototype, 'save', async function () {
+    return this;
+  });
+  t.mock.method(User, 'exists', async (filter) => (matches(filter) ? { _id: account._id } : null));
+  t.mock.method(User, 'findOne', async (filter) => (matches(filter) ? account : null));
+  t.mock.method(User.prototype, 'save', async function () {
+    return this;
+  });
+  t.mock.method(Session, 'create', async (fields) => new Session(fields));
+  return account;
+};
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('the invite preview finds an account whatever the capitalisation of its email', async (t) => {
+  const invite = newInvite();
+  await mockInviteStore(t, invite);
+  const request = await withServer(t);
+
+  const { status, body } = await request(`/invites/${signInviteToken(invite)}`);
+
+  assert.equal(status, 200);
+  assert.equal(body.accountExists, true);
+});
+
+test('accepting an invite for an existing account needs its password and adds the roles', async (t) => {
+  const invite = newInvite();
+  const account = await mockInviteStore(t, invite);
+  const request = await withServer(t);
+  const token = signInviteToken(invite);
+
+  const wrong = await request('/invites/accept', { method: 'POST', body: { token, password: 'New-password-1' } });
+  assert.equal(wrong.status, 401);
+  assert.equal(invite.acceptedAt, undefined);
+
+  const { status, body } = await request('/invites/accept', { method: 'POST', body: { token, password: 'Current-pass-1' } });
+  assert.equal(status, 200);
+  assert.ok(body.token);
+  assert.deepEqual([...account.roles], ['user', 'support']);
+  assert.equal(String(invite.acceptedBy), String(account._id));
+
+  const again = await request('/invites/accept', { method: 'POST', body: { token, password: 'Current-pass-1' } });
+  assert.equal(again.status, 400);
+});
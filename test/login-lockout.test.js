@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { AuthEvent, Session, User, mailTransport, startServer } = require('./helpers');
+
+const PASSWORD = 'Correct-horse-1';
+
+// One account whose lockout counters the mocks update like MongoDB would
+const mockAccount = async (t, email) => {
+  const user = new User({ email, password: await bcrypt.hash(PASSWORD, 4), roles: ['user'] });
+  const apply = (update) => {
+    Object.entries(update.$inc || {}).forEach(([key, value]) => user.set(key, (user.get(key) || 0) + value));
+    if (update.$set) user.set(update.$set);
+    Object.keys(update.$unset || {}).forEach(key => user.set(key, undefined));
+  };
+
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(User, 'findByIdAndUpdate', async (id, update) => {
+    apply(update);
+    return user;
+  });
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    if (user.failedLoginCount < filter.failedLoginCount.$gte) return null;
+    apply(update);
+    return user;
+  });
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    apply(update);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Session, 'create', async (fields) => new Session(fields));
+  t.mock.method(AuthEvent, 'create', async () => ({}));
+  return user;
+};
+
+const login = (request, email, password) => request('/login', { method: 'POST', body: { email, password } });
+
+test('the fifth wrong password locks the account and emails its owner', async (t) => {
+  const user = await mockAccount(t, 'locked@example.com');
+  const sendMail = t.mock.method(mailTransport, 'sendMail', async () => ({}));
+  const { request, close } = await startServer();
+  t.after(close);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { status, body } = await login(request, user.email, 'wrong-password');
+    assert.equal(status, 401);
+    assert.deepEqual(body, { success: false, message: 'Invalid credentials' });
+  }
+
+  assert.ok(user.lockedUntil > new Date());
+  assert.equal(user.lockoutLevel, 1);
+  assert.equal(sendMail.mock.callCount(), 1);
+  assert.equal(sendMail.mock.calls[0].arguments[0].to, 'locked@example.com');
+  assert.equal(AuthEvent.create.mock.calls[0].arguments[0].type, 'account_locked');
+});
+
+test('a locked account answers exactly like a wrong password, even to the right one', async (t) => {
+  const user = await mockAccount(t, 'probe@example.com');
+  user.lockedUntil = new Date(Date.now() + 60 * 1000);
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const locked = await login(request, user.email, PASSWORD);
+  const unknown = await login(request, user.email, 'wrong-password');
+
+  assert.equal(locked.status, 401);
+  assert.deepEqual(locked.body, unknown.body);
+  assert.equal(locked.headers.get('retry-after'), null);
+});
+
+test('a login after the lock ran out succeeds and resets the counters', async (t) => {
+  const user = await mockAccount(t, 'expired@example.com');
+  user.set({ lockedUntil: new Date(Date.now() - 1000), lockoutLevel: 2, failedLoginCount: 3 });
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const { status, body } = await login(request, user.email, PASSWORD);
+
+  assert.equal(status, 200);
+  assert.ok(body.token);
+  assert.equal(user.lockedUntil, undefined);
+  assert.equal(user.failedLoginCount, 0);
+  assert.equal(user.lockoutLevel, 0);
+});
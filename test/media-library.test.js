@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { COMMANDS, MediaAsset, Order, Product, mediaStorage, startServer, signIn } = require('./helpers');
+
+const HASH_A = 'a'.repeat(64);
+const HASH_B = 'b'.repeat(64);
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const files = [
+  { key: '1727263710686_whiterose.jpeg', size: 100, lastModified: daysAgo(30) },
+  { key: `${HASH_A}-thumbnail.jpg`, size: 10, lastModified: daysAgo(30) },
+  { key: `${HASH_A}.jpg`, size: 200, lastModified: daysAgo(30) },
+  { key: `${HASH_B}.png`, size: 300, lastModified: daysAgo(30) }
+];
+
+// Product 7 still shows HASH_B; nothing else is referenced
+const mockLibrary = (t, products = [{ id: 7, name: 'Silk scarf', image: mediaStorage.url(`${HASH_B}.png`), images: [] }]) => {
+  t.mock.method(mediaStorage, 'list', async () => files);
+  t.mock.method(mediaStorage, 'listPage', async ({ after, limit }) => {
+    const rest = files.filter(file => file.key > after).sort((a, b) => (a.key < b.key ? -1 : 1));
+    return { files: rest.slice(0, limit), next: rest.length > limit ? rest[limit - 1].key : null };
+  });
+  t.mock.method(mediaStorage, 'get', async () => {
+    throw new Error('not an image');
+  });
+  t.mock.method(mediaStorage, 'delete', async () => {});
+  t.mock.method(Product, 'find', () => ({ lean: async () => products }));
+  t.mock.method(Order, 'distinct', async () => []);
+  t.mock.method(MediaAsset, 'find', () => ({ lean: async () => [] }));
+  t.mock.method(MediaAsset, 'deleteMany', async () => ({}));
+  t.mock.method(console, 'log', () => {});
+};
+
+test('gc-media only reports what it would delete unless --delete is given', async (t) => {
+  mockLibrary(t);
+
+  await COMMANDS['gc-media']({});
+
+  assert.equal(mediaStorage.delete.mock.callCount(), 0);
+  assert.ok(console.log.mock.calls.some(call => String(call.arguments[0]).startsWith(`would delete ${HASH_A}.jpg`)));
+});
+
+test('gc-media --delete removes unreferenced groups and keeps used ones', async (t) => {
+  mockLibrary(t);
+
+  await COMMANDS['gc-media']({ delete: true });
+
+  const deleted = mediaStorage.delete.mock.calls.map(call => call.arguments[0]).sort();
+  assert.deepEqual(deleted, ['1727263710686_whiterose.jpeg', `${HASH_A}-thumbnail.jpg`, `${HASH_A}.jpg`]);
+});
+
+test('gc-media keeps files referenced under an earlier media base URL', async (t) => {
+  mockLibrary(t, [{
+    id: 8,
+    name: 'Wool coat',
+    image: `https://old-cdn.example.com/dressmart/${HASH_A}.jpg`,
+    images: [{ url: 'http://192.168.1.10:5000/images/1727263710686_whiterose.jpeg' }]
+  }]);
+
+  await COMMANDS['gc-media']({ delete: true });
+
+  const deleted = mediaStorage.delete.mock.calls.map(call => call.arguments[0]);
+  assert.deepEqual(deleted, [`${HASH_B}.png`]);
+});
+
+test('gc-media keeps files younger than --older-than-days', async (t) => {
+  mockLibrary(t);
+
+  await COMMANDS['gc-media']({ delete: true, 'older-than-days': '60' });
+
+  assert.equal(mediaStorage.delete.mock.callCount(), 0);
+});
+
+test('the media library pages by key and never downloads files', async (t) => {
+  mockLibrary(t);
+  const { headers } = signIn(t, ['catalog-manager']);
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const first = await request('/admin/media?limit=2', { headers });
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.files.map(file => file.key), ['1727263710686_whiterose.jpeg', `${HASH_A}.jpg`]);
+  assert.equal(first.body.files[1].derivatives[0].key, `${HASH_A}-thumbnail.jpg`);
+  assert.equal(first.body.pagination.hasNextPage, true);
+
+  const second = await request(`/admin/media?limit=2&cursor=${first.body.pagination.nextCursor}`, { headers });
+  assert.deepEqual(second.body.files.map(file => file.key), [`${HASH_B}.png`]);
+  assert.deepEqual(second.body.files[0].products, [{ id: 7, name: 'Silk scarf' }]);
+  assert.equal(second.body.pagination.hasNextPage, false);
+
+  const unused = await request('/admin/media?referenced=false', { headers });
+  assert.equal(unused.body.files.length, 2);
+  assert.equal(mediaStorage.get.mock.callCount(), 0);
+});
@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog, Order, stripe, startServer, signIn, mockStock, newOrder, mockOrderStore } = require('./helpers');
+
+const paidOrder = (user) => newOrder({
+  user: user._id,
+  status: 'Paid',
+  paymentInfo: { method: 'creditCard', status: 'Paid', intentId: 'pi_test' }
+});
+
+const cancel = async (t, headers, orderId) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request(`/orders/${orderId}/cancel`, { method: 'POST', headers, body: { reason: 'Ordered the wrong size' } });
+};
+
+test('cancelling a paid order restocks it and refunds the full amount', async (t) => {
+  const { user, headers } = signIn(t);
+  const order = mockOrderStore(t, paidOrder(user));
+  const products = [{ id: 1, stock: 0, variants: [] }];
+  mockStock(t, products);
+  const refundsCreate = t.mock.method(stripe.refunds, 'create', async () => ({ id: 're_test', status: 'pending' }));
+
+  const { status, body } = await cancel(t, headers, order._id);
+
+  assert.equal(status, 200);
+  assert.equal(body.order.status, 'Cancelled');
+  assert.deepEqual(body.refund, { id: 're_test', status: 'pending', amount: 3100 });
+  assert.equal(refundsCreate.mock.calls[0].arguments[0].amount, 310000);
+  assert.equal(order.paymentInfo.refundStatus, 'Requested');
+  assert.equal(products[0].stock, 2);
+});
+
+test('a refund Stripe refuses leaves the order cancelled and flagged for staff', async (t) => {
+  const { user, headers } = signIn(t);
+  const order = mockOrderStore(t, paidOrder(user));
+  const products = [{ id: 1, stock: 0, variants: [] }];
+  mockStock(t, products);
+  t.mock.method(stripe.refunds, 'create', async () => {
+    throw new Error('Stripe is unavailable');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const { status, body } = await cancel(t, headers, order._id);
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.refund.status, 'failed');
+  assert.match(body.warning, /refund could not be started/);
+  assert.equal(order.status, 'Cancelled');
+  assert.equal(order.paymentInfo.refundStatus, 'Failed');
+  assert.equal(order.paymentInfo.refundError, 'Stripe is unavailable');
+  assert.equal(products[0].stock, 2);
+});
+
+test('an unpaid card order is cancelled by stopping its payment intent', async (t) => {
+  const { user, headers } = signIn(t);
+  const order = mockOrderStore(t, newOrder({ user: user._id }));
+  mockStock(t, [{ id: 1, stock: 0, variants: [] }]);
+  const refundsCreate = t.mock.method(stripe.refunds, 'create', async () => ({}));
+  t.mock.method(stripe.paymentIntents, 'retrieve', async (id) => ({ id, status: 'requires_payment_method' }));
+  const intentsCancel = t.mock.method(stripe.paymentIntents, 'cancel', async () => ({ status: 'canceled' }));
+
+  const { status, body } = await cancel(t, headers, order._id);
+
+  assert.equal(status, 200);
+  assert.equal(body.refund, null);
+  assert.equal(refundsCreate.mock.callCount(), 0);
+  assert.equal(intentsCancel.mock.calls[0].arguments[0], 'pi_test');
+});
+
+test('an order whose payment went through before its webhook arrived is not cancelled unrefunded', async (t) => {
+  const { user, headers } = signIn(t);
+  const order = mockOrderStore(t, newOrder({ user: user._id }));
+  const products = [{ id: 1, stock: 0, variants: [] }];
+  mockStock(t, products);
+  t.mock.method(stripe.paymentIntents, 'retrieve', async (id) => ({ id, status: 'succeeded' }));
+  const intentsCancel = t.mock.method(stripe.paymentIntents, 'cancel', async () => ({}));
+
+  const { status, body } = await cancel(t, headers, order._id);
+
+  assert.equal(status, 409);
+  assert.match(body.message, /still being confirmed/);
+  assert.equal(intentsCancel.mock.callCount(), 0);
+  assert.equal(order.status, 'Processing');
+  assert.equal(products[0].stock, 0);
+});
+
+test('an intent Stripe will not cancel leaves the order open', async (t) => {
+  const { user, headers } = signIn(t);
+  const order = mockOrderStore(t, newOrder({ user: user._id }));
+  t.mock.method(stripe.paymentIntents, 'retrieve', async (id) => ({ id, status: 'requires_confirmation' }));
+  t.mock.method(stripe.paymentIntents, 'cancel', async () => {
+    throw new Error('Stripe is unavailable');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const { status } = await cancel(t, headers, order._id);
+
+  assert.equal(status, 502);
+  assert.equal(order.status, 'Processing');
+});
+
+test('shipped orders can no longer be cancelled', async (t) => {
+  const { user, headers } = signIn(t);
+  const order = mockOrderStore(t, newOrder({ user: user._id, status: 'Shipped' }));
+
+  const { status, body } = await cancel(t, headers, order._id);
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Orders that are shipped can no longer be cancelled');
+  assert.equal(order.status, 'Shipped');
+});
+
+const adminCancel = async (t, orderId) => {
+  const { headers } = signIn(t, ['order-fulfilment']);
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  t.mock.method(Order.prototype, 'populate', async function () {
+    return this;
+  });
+  const { request, close } = await startServer();
+  t.after(close);
+  return request(`/admin/orders/${orderId}/status`, { method: 'PUT', headers, body: { status: 'Cancelled' } });
+};
+
+test('an admin cancelling an unpaid card order stops its payment intent too', async (t) => {
+  const order = mockOrderStore(t, newOrder());
+  const products = [{ id: 1, stock: 0, variants: [] }];
+  mockStock(t, products);
+  t.mock.method(stripe.paymentIntents, 'retrieve', async (id) => ({ id, status: 'requires_payment_method' }));
+  const intentsCancel = t.mock.method(stripe.paymentIntents, 'cancel', async () => ({ status: 'canceled' }));
+
+  const { status } = await adminCancel(t, order._id);
+
+  assert.equal(status, 200);
+  assert.equal(intentsCancel.mock.calls[0].arguments[0], 'pi_test');
+  assert.equal(order.status, 'Cancelled');
+  assert.equal(products[0].stock, 2);
+});
+
+test('an admin cancelling a paid card order refunds it', async (t) => {
+  const order = mockOrderStore(t, newOrder({
+    status: 'Paid',
+    paymentInfo: { method: 'creditCard', status: 'Paid', intentId: 'pi_test' }
+  }));
+  mockStock(t, [{ id: 1, stock: 0, variants: [] }]);
+  t.mock.method(stripe.refunds, 'create', async () => ({ id: 're_test', status: 'pending' }));
+
+  const { status, body } = await adminCancel(t, order._id);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.refund, { id: 're_test', status: 'pending', amount: 3100 });
+  assert.equal(order.paymentInfo.refundStatus, 'Requested');
+});
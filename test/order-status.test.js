@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog, Order, startServer, signIn, newOrder, mockOrderStore } = require('./helpers');
+
+const withStaff = async (t) => {
+  const { user, headers } = signIn(t, ['order-fulfilment']);
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  t.mock.method(Order.prototype, 'populate', async function () {
+    return this;
+  });
+  const { request, close } = await startServer();
+  t.after(close);
+  return { user, setStatus: (order, body) => request(`/admin/orders/${order._id}/status`, { method: 'PUT', headers, body }) };
+};
+
+const paidCashOrder = () => newOrder({ status: 'Paid', paymentInfo: { method: 'cash', status: 'Paid' } });
+
+test('orders move through the allowed steps, each recorded with who made it', async (t) => {
+  const order = mockOrderStore(t, paidCashOrder());
+  const { user, setStatus } = await withStaff(t);
+
+  assert.equal((await setStatus(order, { status: 'Packed' })).status, 200);
+  const { status } = await setStatus(order, { status: 'Shipped', trackingNumber: 'NP123', carrier: 'Nepal Post', note: 'Left the warehouse' });
+
+  assert.equal(status, 200);
+  assert.equal(order.status, 'Shipped');
+  assert.equal(order.shipment.trackingNumber, 'NP123');
+  const last = order.statusHistory.at(-1);
+  assert.deepEqual(
+    { status: last.status, from: last.from, actorType: last.actorType, note: last.note },
+    { status: 'Shipped', from: 'Packed', actorType: 'admin', note: 'Left the warehouse' }
+  );
+  assert.equal(String(last.actor), String(user._id));
+  assert.ok(last.at instanceof Date);
+});
+
+test('steps the state machine does not allow are refused', async (t) => {
+  const order = mockOrderStore(t, newOrder({ status: 'Cancelled' }));
+  const { setStatus } = await withStaff(t);
+
+  const { status, body } = await setStatus(order, { status: 'Delivered' });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Cannot change order status from Cancelled to Delivered');
+  assert.equal(order.status, 'Cancelled');
+});
+
+test('shipping needs a tracking number and carrier', async (t) => {
+  const order = mockOrderStore(t, newOrder({ status: 'Packed', paymentInfo: { method: 'cash', status: 'Pending' } }));
+  const { setStatus } = await withStaff(t);
+
+  const { status, body } = await setStatus(order, { status: 'Shipped', trackingNumber: 'NP123' });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Tracking number and carrier are required to ship an order');
+  assert.equal(order.status, 'Packed');
+});
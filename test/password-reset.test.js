@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { AccountToken, Session, User, mailTransport, startServer } = require('./helpers');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Tokens are kept in memory; mails are captured instead of sent
+const mockResetStore = (t, user) => {
+  const tokens = [];
+  t.mock.method(User, 'findOne', async (filter) => (filter.email === user.email ? user : null));
+  t.mock.method(AccountToken, 'deleteMany', async () => ({}));
+  t.mock.method(AccountToken, 'create', async (fields) => tokens.push({ ...fields, usedAt: null }));
+  t.mock.method(AccountToken, 'findOneAndUpdate', async (filter, update) => {
+    const token = tokens.find(entry => entry.tokenHash === filter.tokenHash && entry.type === filter.type && !entry.usedAt);
+    if (token) Object.assign(token, update.$set);
+    return token || null;
+  });
+  t.mock.method(mailTransport, 'sendMail', async () => ({}));
+  return tokens;
+};
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+const newUser = (email) => new User({ name: 'Asha', email, password: 'unused', roles: ['user'] });
+
+test('forgot-password refuses an email that is not a string', async (t) => {
+  const findOne = t.mock.method(User, 'findOne', async () => null);
+  const request = await withServer(t);
+
+  const { status } = await request('/forgot-password', { method: 'POST', body: { email: { $ne: null } } });
+
+  assert.equal(status, 400);
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test('forgot-password mails a single-use reset link a few times per address at most', async (t) => {
+  const user = newUser('flood@example.com');
+  mockResetStore(t, user);
+  const request = await withServer(t);
+
+  const statuses = [];
+  for (let i = 0; i < 4; i++) {
+    statuses.push((await request('/forgot-password', { method: 'POST', body: { email: ' flood@example.com ' } })).status);
+  }
+
+  assert.deepEqual(statuses, [200, 200, 200, 429]);
+  assert.equal(mailTransport.sendMail.mock.callCount(), 3);
+});
+
+test('a reset link sets the new password once and signs out every session', async (t) => {
+  const user = newUser('reset@example.com');
+  const tokens = mockResetStore(t, user);
+  const updateOne = t.mock.method(User, 'updateOne', async () => ({}));
+  t.mock.method(User, 'findByIdAndUpdate', async () => user);
+  const revoke = t.mock.method(Session, 'updateMany', async () => ({}));
+  const request = await withServer(t);
+
+  await request('/forgot-password', { method: 'POST', body: { email: 'reset@example.com' } });
+  const token = /token=([a-f0-9]+)/.exec(mailTransport.sendMail.mock.calls[0].arguments[0].text)[1];
+  assert.equal(tokens[0].tokenHash, sha256(token));
+
+  const reset = await request('/reset-password', { method: 'POST', body: { token, password: 'Brand-new-pass-1' } });
+  assert.equal(reset.status, 200);
+  const { $set } = updateOne.mock.calls[0].arguments[1];
+  assert.ok(await bcrypt.compare('Brand-new-pass-1', $set.password));
+  assert.equal(revoke.mock.calls[0].arguments[1].$set.revokedReason, 'password_reset');
+
+  const again = await request('/reset-password', { method: 'POST', body: { token, password: 'Another-pass-1' } });
+  assert.equal(again.status, 400);
+});
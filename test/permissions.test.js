@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, User, startServer, signIn } = require('./helpers');
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('staff roles only reach the admin routes their permissions cover', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const findOrder = t.mock.method(Order, 'findById', async () => null);
+  const request = await withServer(t);
+
+  const { status, body } = await request('/admin/orders/64b000000000000000000001/status', {
+    method: 'PUT',
+    headers,
+    body: { status: 'Shipped' }
+  });
+
+  assert.equal(status, 403);
+  assert.equal(body.message, 'Access denied: requires orders:write permission');
+  assert.equal(body.error, body.message);
+  assert.equal(findOrder.mock.callCount(), 0);
+});
+
+test('the admin panel can send its token as a bearer token', async (t) => {
+  const { headers } = signIn(t, ['support']);
+  const request = await withServer(t);
+
+  const { status, body } = await request('/admin/roles', {
+    headers: { Authorization: `Bearer ${headers['auth-token']}` }
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.roles.find(entry => entry.role === 'support').permissions,
+    ['orders:read', 'users:read', 'returns:manage', 'reviews:moderate', 'analytics:read']
+  );
+});
+
+test('customers are kept out of the admin routes', async (t) => {
+  const { headers } = signIn(t);
+  const request = await withServer(t);
+
+  const { status } = await request('/admin/roles', { headers });
+
+  assert.equal(status, 403);
+});
+
+test('role updates refuse unknown roles and an admin dropping their own role management', async (t) => {
+  const { user, headers } = signIn(t, ['super-admin']);
+  const update = t.mock.method(User, 'findByIdAndUpdate', async () => null);
+  const request = await withServer(t);
+
+  const unknown = await request(`/admin/users/${user.id}/roles`, { method: 'PUT', headers, body: { roles: ['owner'] } });
+  const lockout = await request(`/admin/users/${user.id}/roles`, { method: 'PUT', headers, body: { roles: ['support'] } });
+
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.message, /^Unknown roles: owner\./);
+  assert.equal(lockout.status, 400);
+  assert.equal(lockout.body.message, 'You cannot remove your own role management access');
+  assert.equal(update.mock.callCount(), 0);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog, startServer, signIn, mockProductStore } = require('./helpers');
+
+const withServer = async (t) => {
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('PATCH /product/:id changes only the fields sent, keeping the product id', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const { product, updates } = mockProductStore(t);
+  const request = await withServer(t);
+
+  const { status, body } = await request('/product/1', {
+    method: 'PATCH',
+    headers,
+    body: { new_price: '1200', colors: '["White","Sand"]' }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.product.id, 1);
+  assert.equal(product.new_price, 1200);
+  assert.deepEqual([...product.colors], ['White', 'Sand']);
+  assert.equal(product.name, 'Linen shirt');
+  assert.equal(updates[0].$set.new_price, 1200);
+  assert.equal(updates[0].$set.name, undefined);
+});
+
+test('product edits are refused for bad genders and for accounts without catalog:write', async (t) => {
+  mockProductStore(t);
+  const request = await withServer(t);
+
+  const staff = signIn(t, ['catalog-manager']);
+  const badGender = await request('/product/1', { method: 'PATCH', headers: staff.headers, body: { gender: 'unisex' } });
+  assert.equal(badGender.status, 400);
+  assert.match(badGender.body.message, /^Invalid gender value/);
+
+  const shopper = signIn(t, ['support']);
+  const forbidden = await request('/product/1', { method: 'PATCH', headers: shopper.headers, body: { new_price: 1 } });
+  assert.equal(forbidden.status, 403);
+});
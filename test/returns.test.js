@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog, ReturnRequest, startServer, signIn, mockStock, newOrder, mockOrderStore } = require('./helpers');
+
+// Delivered cash order for two shirts, 10% off
+const deliveredOrder = () => newOrder({
+  status: 'Delivered',
+  paymentInfo: { method: 'cash', status: 'Paid' },
+  pricing: { subtotal: 3000, discount: 300, shipping: 100, tax: 0, total: 2800 },
+  totalAmount: 2800
+});
+
+const newReturn = (order, fields = {}) => new ReturnRequest({
+  order: order._id,
+  user: order.user,
+  items: [{ orderItemId: order.items[0]._id, productId: 1, name: 'Linen shirt', price: 1500, quantity: 1, reason: 'size' }],
+  resolution: 'refund',
+  status: 'Approved',
+  ...fields
+});
+
+// Every lookup sees the return as first loaded, as two staff members with
+// the same page open would; only findOneAndUpdate sees what was stored
+const mockReturnStore = (t, returnRequest) => {
+  let stored = returnRequest.toObject();
+  t.mock.method(ReturnRequest, 'findById', async () => ReturnRequest.hydrate(returnRequest.toObject()));
+  t.mock.method(ReturnRequest.prototype, 'save', async function () {
+    stored = this.toObject();
+    return this;
+  });
+  t.mock.method(ReturnRequest, 'findOneAndUpdate', async (filter, update) => {
+    if (stored.status !== filter.status) return null;
+    stored = { ...stored, ...update.$set, statusHistory: [...stored.statusHistory, update.$push.statusHistory] };
+    return ReturnRequest.hydrate(stored);
+  });
+  return () => stored;
+};
+
+const withServer = async (t) => {
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('receiving a return restocks it once, even when two staff members submit it', async (t) => {
+  const { headers } = signIn(t, ['support']);
+  const order = mockOrderStore(t, deliveredOrder());
+  const stored = mockReturnStore(t, newReturn(order));
+  const products = [{ id: 1, stock: 0, variants: [] }];
+  mockStock(t, products);
+  const request = await withServer(t);
+
+  const path = `/admin/returns/${stored()._id}/receive`;
+  const first = await request(path, { method: 'POST', headers, body: {} });
+  const second = await request(path, { method: 'POST', headers, body: {} });
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.return.status, 'Received');
+  assert.equal(second.status, 409);
+  assert.equal(products[0].stock, 1);
+  assert.equal(order.items[0].returnedQuantity, 1);
+  assert.equal(stored().restocked, true);
+});
+
+test('restock "false" sent as a string keeps the goods off the shelf', async (t) => {
+  const { headers } = signIn(t, ['support']);
+  const order = mockOrderStore(t, deliveredOrder());
+  const stored = mockReturnStore(t, newReturn(order));
+  const products = [{ id: 1, stock: 0, variants: [] }];
+  mockStock(t, products);
+  const request = await withServer(t);
+
+  const { status } = await request(`/admin/returns/${stored()._id}/receive`, {
+    method: 'POST',
+    headers,
+    body: { restock: 'false', note: 'Stained' }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(products[0].stock, 0);
+  assert.equal(stored().restocked, false);
+  assert.equal(order.items[0].returnedQuantity, 1);
+});
+
+test('returns that were not approved cannot be received', async (t) => {
+  const { headers } = signIn(t, ['support']);
+  const order = mockOrderStore(t, deliveredOrder());
+  const stored = mockReturnStore(t, newReturn(order, { status: 'Requested' }));
+  const products = [{ id: 1, stock: 0, variants: [] }];
+  mockStock(t, products);
+  const request = await withServer(t);
+
+  const { status, body } = await request(`/admin/returns/${stored()._id}/receive`, { method: 'POST', headers, body: {} });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Cannot change return status from Requested to Received');
+  assert.equal(products[0].stock, 0);
+});
+
+test('a cash refund for a return gives back the item price less its share of the discount', async (t) => {
+  const { headers } = signIn(t, ['admin']);
+  const order = mockOrderStore(t, deliveredOrder());
+  const stored = mockReturnStore(t, newReturn(order, { status: 'Received' }));
+  const request = await withServer(t);
+
+  const { status, body } = await request(`/admin/returns/${stored()._id}/refund`, { method: 'POST', headers, body: {} });
+
+  assert.equal(status, 200);
+  assert.equal(body.return.status, 'Refunded');
+  assert.equal(body.return.refund.amount, 1350);
+  assert.equal(order.paymentInfo.refundedAmount, 1350);
+  assert.equal(order.paymentInfo.status, 'Paid');
+});
+
+test('return refunds cannot exceed what is left to refund on the order', async (t) => {
+  const { headers } = signIn(t, ['admin']);
+  const order = deliveredOrder();
+  order.paymentInfo.refundedAmount = 2000;
+  mockOrderStore(t, order);
+  const stored = mockReturnStore(t, newReturn(order, { status: 'Received' }));
+  const request = await withServer(t);
+
+  const { status, body } = await request(`/admin/returns/${stored()._id}/refund`, {
+    method: 'POST',
+    headers,
+    body: { amount: 900 }
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Refund amount must be between 0 and 800');
+  assert.equal(order.paymentInfo.refundedAmount, 2000);
+});
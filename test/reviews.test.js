@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, Product, Review, startServer, signIn } = require('./helpers');
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+// The signed-in user bought product 1 and it was delivered; product 2 never
+const mockReviewStore = (t, user) => {
+  t.mock.method(Product, 'findOne', (filter) => ({ lean: async () => ({ id: filter.id, name: 'Linen shirt' }) }));
+  const updateProduct = t.mock.method(Product, 'updateOne', async () => ({}));
+  t.mock.method(Order, 'exists', async (filter) => (
+    String(filter.user) === String(user._id) && filter.status === 'Delivered' && filter['items.productId'] === 1 ? { _id: 'o1' } : null
+  ));
+  t.mock.method(Review, 'exists', async () => null);
+  t.mock.method(Review, 'create', async (fields) => new Review(fields));
+  t.mock.method(Review, 'aggregate', async () => [{ _id: null, average: 13 / 3, count: 3 }]);
+  return updateProduct;
+};
+
+test('reviews from customers who received the product are marked verified and update its rating', async (t) => {
+  const { user, headers } = signIn(t);
+  const updateProduct = mockReviewStore(t, user);
+  const request = await withServer(t);
+
+  const bought = await request('/product/1/reviews', { method: 'POST', headers, body: { rating: 5, fit: 'runs_small', title: 'Lovely' } });
+  const notBought = await request('/product/2/reviews', { method: 'POST', headers, body: { rating: 4 } });
+
+  assert.equal(bought.status, 201);
+  assert.equal(bought.body.review.verified, true);
+  assert.equal(bought.body.review.fit, 'runs_small');
+  assert.equal(notBought.body.review.verified, false);
+  assert.deepEqual(updateProduct.mock.calls[0].arguments, [{ id: 1 }, { $set: { averageRating: 4.3, reviewCount: 3 } }]);
+});
+
+test('ratings outside 1 to 5 are refused', async (t) => {
+  const { user, headers } = signIn(t);
+  mockReviewStore(t, user);
+  const request = await withServer(t);
+
+  const { status, body } = await request('/product/1/reviews', { method: 'POST', headers, body: { rating: 6 } });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Rating must be a whole number from 1 to 5');
+});
+
+test('reviews of a product id that is not a number are a 404, not a failed query', async (t) => {
+  const find = t.mock.method(Review, 'find', () => {
+    throw new Error('unexpected query');
+  });
+  t.mock.method(Product, 'findOne', () => {
+    throw new Error('unexpected query');
+  });
+  const request = await withServer(t);
+
+  const { status, body } = await request('/product/shirt/reviews');
+
+  assert.equal(status, 404);
+  assert.equal(body.message, 'Product not found');
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('moderating a review by a malformed id is a 404', async (t) => {
+  const { headers } = signIn(t, ['support']);
+  const findById = t.mock.method(Review, 'findById', async () => null);
+  const request = await withServer(t);
+
+  const { status } = await request('/admin/reviews/not-an-id/status', { method: 'PUT', headers, body: { status: 'hidden' } });
+
+  assert.equal(status, 404);
+  assert.equal(findById.mock.callCount(), 0);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Session, User, startServer } = require('./helpers');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const mockSessionStore = (t) => {
+  const user = new User({ email: 'asha@example.com', password: 'unused', roles: ['user'] });
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: sha256('first-secret'),
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+
+  t.mock.method(User, 'findById', async () => user);
+  t.mock.method(Session, 'findById', async () => session);
+  t.mock.method(Session.prototype, 'save', async function () {
+    return this;
+  });
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    if (session.refreshTokenHash !== filter.refreshTokenHash || session.revokedAt) return null;
+    session.set(update.$set);
+    return session;
+  });
+  return session;
+};
+
+const refresh = (request, refreshToken) => request('/refresh-token', { method: 'POST', body: { refreshToken } });
+
+test('refreshing rotates the refresh token', async (t) => {
+  const session = mockSessionStore(t);
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const { status, body } = await refresh(request, `${session._id}.first-secret`);
+
+  assert.equal(status, 200);
+  assert.ok(body.token);
+  const [sessionId, secret] = body.refreshToken.split('.');
+  assert.equal(sessionId, String(session._id));
+  assert.notEqual(secret, 'first-secret');
+  assert.equal(session.refreshTokenHash, sha256(secret));
+
+  const next = await refresh(request, body.refreshToken);
+  assert.equal(next.status, 200);
+});
+
+test('presenting a rotated refresh token again revokes the session', async (t) => {
+  const session = mockSessionStore(t);
+  const { request, close } = await startServer();
+  t.after(close);
+
+  const rotated = await refresh(request, `${session._id}.first-secret`);
+  const replayed = await refresh(request, `${session._id}.first-secret`);
+
+  assert.equal(replayed.status, 401);
+  assert.equal(session.revokedReason, 'refresh_token_reuse');
+  assert.ok(session.revokedAt);
+
+  // The legitimate holder is logged out too
+  const afterTheft = await refresh(request, rotated.body.refreshToken);
+  assert.equal(afterTheft.status, 401);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { createStorage } = require('./helpers');
+
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dressmart-media-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('the local driver stores, lists and deletes files by key', async (t) => {
+  const dir = tempDir(t);
+  const storage = createStorage('local', { dir: path.join(dir, 'images'), baseUrl: 'https://cdn.example.com/media/' });
+
+  assert.deepEqual(await storage.list(), []);
+  await storage.put('b.jpg', Buffer.from('second'));
+  await storage.put('a photo.png', Buffer.from('first'));
+
+  assert.equal((await storage.get('b.jpg')).toString(), 'second');
+  assert.equal(await storage.exists('a photo.png'), true);
+  assert.equal(storage.url('a photo.png'), 'https://cdn.example.com/media/a%20photo.png');
+  assert.deepEqual((await storage.list()).map(file => file.key).sort(), ['a photo.png', 'b.jpg']);
+
+  const first = await storage.listPage({ limit: 1 });
+  const second = await storage.listPage({ after: first.next, limit: 1 });
+  assert.deepEqual([first.files[0].key, first.next], ['a photo.png', 'a photo.png']);
+  assert.deepEqual([second.files[0].key, second.next], ['b.jpg', null]);
+
+  await storage.delete('b.jpg');
+  assert.equal(await storage.exists('b.jpg'), false);
+});
+
+test('keys that are not plain file names are refused', async (t) => {
+  const storage = createStorage('local', { dir: tempDir(t) });
+
+  await assert.rejects(storage.put('../escape.jpg', Buffer.from('x')), /Invalid media key/);
+  await assert.rejects(storage.get('.env'), /Invalid media key/);
+});
+
+test('an unknown driver or an s3 driver without a bucket fails at startup', () => {
+  assert.throws(() => createStorage('ftp'), /Unknown storage driver "ftp". Use local or s3./);
+  assert.throws(() => createStorage('s3', { bucket: '' }), /S3_BUCKET is required/);
+});
+
+test('production refuses to start the local driver without MEDIA_BASE_URL', () => {
+  const env = { ...process.env, NODE_ENV: 'production', STORAGE_DRIVER: 'local', JWT_SECRET: 'test-jwt-secret' };
+  delete env.MEDIA_BASE_URL;
+
+  const { status, stderr } = spawnSync(process.execPath, ['-e', "require('./index')"], {
+    cwd: path.join(__dirname, '..'),
+    env,
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  assert.notEqual(status, 0);
+  assert.match(stderr, /MEDIA_BASE_URL must be set/);
+});
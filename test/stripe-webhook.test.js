@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Order, stripe, startServer, mockStock, newOrder, mockOrderStore } = require('./helpers');
+
+const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+const stripeEvent = (type, object) => ({
+  id: `evt_${type.replace(/\W/g, '_')}`,
+  object: 'event',
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object }
+});
+
+// Posts the event signed the way Stripe signs deliveries
+const deliver = (request, event, secret = WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return request('/webhooks/stripe', {
+    method: 'POST',
+    headers: { 'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret }) },
+    body: payload
+  });
+};
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('deliveries with a bad signature are rejected untouched', async (t) => {
+  const findOne = t.mock.method(Order, 'findOne', async () => null);
+  const request = await withServer(t);
+
+  const { status } = await deliver(request, stripeEvent('payment_intent.succeeded', { id: 'pi_test' }), 'whsec_other');
+
+  assert.equal(status, 400);
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test('a succeeded intent marks the order paid', async (t) => {
+  const order = mockOrderStore(t, newOrder());
+  const request = await withServer(t);
+
+  const { status } = await deliver(request, stripeEvent('payment_intent.succeeded', { id: 'pi_test', metadata: {} }));
+
+  assert.equal(status, 200);
+  assert.equal(order.paymentInfo.status, 'Paid');
+  assert.equal(order.status, 'Paid');
+  assert.equal(order.statusHistory.at(-1).note, 'Stripe payment pi_test succeeded');
+});
+
+test('a failed payment keeps the order open for a retry', async (t) => {
+  const order = mockOrderStore(t, newOrder());
+  const products = [{ id: 1, stock: 3, variants: [] }];
+  mockStock(t, products);
+  const request = await withServer(t);
+
+  await deliver(request, stripeEvent('payment_intent.payment_failed', { id: 'pi_test', metadata: {} }));
+
+  assert.equal(order.paymentInfo.status, 'Failed');
+  assert.equal(order.status, 'Processing');
+  assert.equal(products[0].stock, 3);
+});
+
+test('a canceled intent cancels the order and restocks it once, however often it is delivered', async (t) => {
+  const order = mockOrderStore(t, newOrder());
+  const products = [{ id: 1, stock: 3, variants: [] }];
+  mockStock(t, products);
+  const request = await withServer(t);
+
+  const event = stripeEvent('payment_intent.canceled', { id: 'pi_test', metadata: {} });
+  assert.equal((await deliver(request, event)).status, 200);
+  assert.equal((await deliver(request, event)).status, 200);
+
+  assert.equal(order.status, 'Cancelled');
+  assert.equal(order.paymentInfo.status, 'Failed');
+  assert.equal(order.stockRestored, true);
+  assert.equal(products[0].stock, 5);
+});
+
+test('a canceled intent does not undo a payment that already succeeded', async (t) => {
+  const order = mockOrderStore(t, newOrder({ status: 'Paid', paymentInfo: { method: 'creditCard', status: 'Paid', intentId: 'pi_test' } }));
+  const request = await withServer(t);
+
+  await deliver(request, stripeEvent('payment_intent.canceled', { id: 'pi_test', metadata: {} }));
+
+  assert.equal(order.status, 'Paid');
+  assert.equal(order.paymentInfo.status, 'Paid');
+});
+
+test('a fully refunded charge marks a cancelled order refunded', async (t) => {
+  const order = mockOrderStore(t, newOrder({
+    status: 'Cancelled',
+    paymentInfo: { method: 'creditCard', status: 'Paid', intentId: 'pi_test', refundStatus: 'Requested' }
+  }));
+  const request = await withServer(t);
+
+  await deliver(request, stripeEvent('charge.refunded', {
+    id: 'ch_test',
+    payment_intent: 'pi_test',
+    amount_refunded: 310000,
+    refunded: true
+  }));
+
+  assert.equal(order.paymentInfo.status, 'Refunded');
+  assert.equal(order.paymentInfo.refundedAmount, 3100);
+  assert.equal(order.status, 'Refunded');
+});
+
+test('a payment that succeeds after the order was cancelled is refunded once', async (t) => {
+  const order = mockOrderStore(t, newOrder({ status: 'Cancelled', stockRestored: true }));
+  const refundsCreate = t.mock.method(stripe.refunds, 'create', async () => ({ id: 're_test', status: 'pending' }));
+  const request = await withServer(t);
+
+  const event = stripeEvent('payment_intent.succeeded', { id: 'pi_test', metadata: {} });
+  await deliver(request, event);
+  await deliver(request, event);
+
+  assert.equal(order.status, 'Cancelled');
+  assert.equal(order.paymentInfo.status, 'Paid');
+  assert.equal(order.paymentInfo.refundStatus, 'Requested');
+  assert.equal(refundsCreate.mock.callCount(), 1);
+  assert.equal(refundsCreate.mock.calls[0].arguments[0].amount, 310000);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { AuditLog, MediaAsset, mediaStorage, startServer, signIn } = require('./helpers');
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+// Keeps stored files in memory instead of the images folder
+const mockMediaStorage = (t) => {
+  const files = new Map();
+  t.mock.method(mediaStorage, 'exists', async (key) => files.has(key));
+  t.mock.method(mediaStorage, 'put', async (key, data) => {
+    files.set(key, data);
+  });
+  t.mock.method(MediaAsset, 'updateOne', async () => ({}));
+  t.mock.method(AuditLog, 'create', async (entry) => entry);
+  return files;
+};
+
+const upload = (request, headers, data, name = 'photo.jpg') => {
+  const form = new FormData();
+  form.append('product', new Blob([data]), name);
+  return request('/upload', { method: 'POST', headers, body: form });
+};
+
+// A 40x20 photo taken with the camera turned sideways, with its
+// orientation and copyright stored in EXIF
+const sidewaysPhoto = () => sharp({ create: { width: 40, height: 20, channels: 3, background: '#c0ffee' } })
+  .jpeg()
+  .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'Jane Doe' } } })
+  .toBuffer();
+
+test('uploads are stored without their metadata, next to resized derivatives', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const files = mockMediaStorage(t);
+  const request = await withServer(t);
+
+  const { status, body } = await upload(request, headers, await sidewaysPhoto());
+
+  assert.equal(status, 200);
+  assert.equal(body.success, 1);
+  assert.deepEqual([body.width, body.height], [20, 40]);
+  assert.equal(body.image_url, mediaStorage.url(`${body.hash}.jpg`));
+  assert.equal(files.size, 7);
+  assert.ok(files.has(`${body.hash}-thumbnail.webp`));
+
+  const stored = await sharp(files.get(`${body.hash}.jpg`)).metadata();
+  assert.equal(stored.exif, undefined);
+  assert.equal(stored.orientation, undefined);
+  assert.deepEqual([stored.width, stored.height], [20, 40]);
+});
+
+test('uploading the same picture again reuses the stored files', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const files = mockMediaStorage(t);
+  const request = await withServer(t);
+  const photo = await sidewaysPhoto();
+
+  const first = await upload(request, headers, photo);
+  const second = await upload(request, headers, photo, 'copy.jpg');
+
+  assert.equal(first.body.duplicate, false);
+  assert.equal(second.body.duplicate, true);
+  assert.equal(second.body.hash, first.body.hash);
+  assert.equal(mediaStorage.put.mock.callCount(), files.size);
+});
+
+test('files that are not a supported image are refused', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  const files = mockMediaStorage(t);
+  const request = await withServer(t);
+  const gif = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#000000' } }).gif().toBuffer();
+
+  const text = await upload(request, headers, Buffer.from('not a picture'), 'photo.jpg');
+  const gifUpload = await upload(request, headers, gif, 'photo.gif');
+
+  assert.equal(text.status, 415);
+  assert.equal(text.body.message, 'File is not a valid image');
+  assert.equal(gifUpload.status, 415);
+  assert.match(gifUpload.body.message, /^Unsupported image type/);
+  assert.equal(files.size, 0);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog, Cart, Product, startServer, signIn, mockProductStore } = require('./helpers');
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+const jacketVariants = [
+  { sku: '2-BLUE-M', color: 'Blue', size: 'M', stock: 2, price: 4500 },
+  { sku: '2-RED-S', color: 'Red', size: 'S', stock: 1 }
+];
+
+test('a product with variants takes its stock, colors, sizes and availability from them', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  t.mock.method(AuditLog, 'create', async () => ({}));
+  const { product } = mockProductStore(t, { id: 2, name: 'Denim jacket', new_price: 4000, stock: 0 });
+  const request = await withServer(t);
+
+  const { status } = await request('/product/2', {
+    method: 'PATCH',
+    headers,
+    body: { variants: [{ color: 'Blue', size: 'M', stock: 3 }, { color: 'Red', size: 'S', stock: 4 }] }
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(product.variants.map(variant => variant.sku), ['2-BLUE-M', '2-RED-S']);
+  assert.equal(product.stock, 7);
+  assert.deepEqual([...product.colors], ['Blue', 'Red']);
+  assert.deepEqual([...product.sizes], ['M', 'S']);
+
+  await request('/product/2', {
+    method: 'PATCH',
+    headers,
+    body: { variants: [{ color: 'Blue', size: 'M', stock: 0 }, { color: 'Red', size: 'S', stock: 0 }] }
+  });
+  assert.equal(product.stock, 0);
+  assert.equal(product.available, false);
+});
+
+test('duplicate color and size combinations are refused', async (t) => {
+  const { headers } = signIn(t, ['catalog-manager']);
+  mockProductStore(t, { id: 2 });
+  const request = await withServer(t);
+
+  const { status, body } = await request('/product/2', {
+    method: 'PATCH',
+    headers,
+    body: { variants: [{ color: 'Blue', size: 'M' }, { color: 'blue', size: 'm' }] }
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Duplicate variant blue / m');
+});
+
+test('the cart checks the chosen variant\'s own stock and charges its own price', async (t) => {
+  const { product } = mockProductStore(t, { id: 2, name: 'Denim jacket', new_price: 4000, stock: 3, variants: jacketVariants });
+  t.mock.method(Product, 'find', async () => [product]);
+  t.mock.method(Cart.prototype, 'save', async function () {
+    return this;
+  });
+  const request = await withServer(t);
+
+  const tooMany = await request('/cart/items', { method: 'POST', body: { productId: 2, color: 'red', size: 's', quantity: 2 } });
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.message, 'Only 1 left in stock');
+
+  const noSize = await request('/cart/items', { method: 'POST', body: { productId: 2, color: 'Blue' } });
+  assert.equal(noSize.body.message, 'Please select a valid color and size');
+
+  const { status, body } = await request('/cart/items', { method: 'POST', body: { productId: 2, sku: '2-BLUE-M', quantity: 2 } });
+  assert.equal(status, 201);
+  assert.equal(body.cart.lines[0].sku, '2-BLUE-M');
+  assert.equal(body.cart.lines[0].lineTotal, 9000);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Cart, Coupon, Product, Wishlist, startServer, signIn } = require('./helpers');
+
+const jacket = () => new Product({
+  id: 2,
+  name: 'Denim jacket',
+  gender: 'women',
+  new_price: 4000,
+  old_price: 5000,
+  stock: 4,
+  variants: [
+    { sku: '2-BLUE-M', color: 'Blue', size: 'M', stock: 3, price: 4500 },
+    { sku: '2-RED-S', color: 'Red', size: 'S', stock: 1 }
+  ]
+});
+
+// Query results that work awaited directly or through .lean()/.populate()
+const query = (result) => Object.assign(Promise.resolve(result), { lean: async () => result, populate: async () => result });
+
+const mockWishlistStore = (t, user) => {
+  const product = jacket();
+  const wishlist = new Wishlist({ user: user._id, name: 'Wedding guest', items: [{ productId: 2, color: 'Red', size: 'S' }] });
+  t.mock.method(Product, 'findOne', async () => product);
+  t.mock.method(Product, 'find', () => query([product]));
+  t.mock.method(Wishlist, 'findOne', (filter) => {
+    const found = filter.shareToken
+      ? filter.shareToken === wishlist.shareToken
+      : String(filter._id) === String(wishlist._id) && String(filter.user) === String(user._id);
+    return query(found ? wishlist : null);
+  });
+  t.mock.method(Wishlist.prototype, 'save', async function () {
+    return this;
+  });
+  return wishlist;
+};
+
+const withServer = async (t) => {
+  const { request, close } = await startServer();
+  t.after(close);
+  return request;
+};
+
+test('moving a wishlist item into the cart keeps its color and size and takes it off the list', async (t) => {
+  const { user, headers } = signIn(t);
+  const wishlist = mockWishlistStore(t, user);
+  const cart = new Cart({ user: user._id, items: [] });
+  t.mock.method(Cart, 'findOneAndUpdate', async () => ({ value: cart, lastErrorObject: { updatedExisting: true } }));
+  t.mock.method(Cart.prototype, 'save', async function () {
+    return this;
+  });
+  t.mock.method(Coupon, 'findOne', async () => null);
+  const request = await withServer(t);
+
+  const { status, body } = await request(`/wishlists/${wishlist._id}/items/${wishlist.items[0]._id}/move-to-cart`, {
+    method: 'POST',
+    headers,
+    body: {}
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.wishlist.items, []);
+  assert.equal(cart.items[0].sku, '2-RED-S');
+  assert.equal(body.cart.lines[0].quantity, 1);
+});
+
+test('a shared list is readable by anyone, with live prices, until sharing stops', async (t) => {
+  const { user, headers } = signIn(t);
+  const wishlist = mockWishlistStore(t, user);
+  const request = await withServer(t);
+
+  const shared = await request(`/wishlists/${wishlist._id}/share`, { method: 'POST', headers });
+  const { status, body } = await request(shared.body.sharePath);
+
+  assert.equal(status, 200);
+  assert.equal(body.wishlist.name, 'Wedding guest');
+  assert.equal(body.wishlist.shareToken, undefined);
+  assert.deepEqual(
+    { new_price: body.wishlist.items[0].new_price, stock: body.wishlist.items[0].stock, available: body.wishlist.items[0].available },
+    { new_price: 4000, stock: 1, available: true }
+  );
+
+  await request(`/wishlists/${wishlist._id}/share`, { method: 'DELETE', headers });
+  assert.equal((await request(shared.body.sharePath)).status, 404);
+});
+
+test('other users\' lists are not found', async (t) => {
+  const owner = signIn(t).user;
+  const wishlist = mockWishlistStore(t, owner);
+  const { headers } = signIn(t, ['support']);
+  const request = await withServer(t);
+
+  const { status } = await request(`/wishlists/${wishlist._id}/share`, { method: 'POST', headers });
+
+  assert.equal(status, 404);
+});